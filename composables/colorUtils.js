@@ -0,0 +1,13 @@
+/**
+ * Small helpers for working with hex colors, shared by the palette and eye modules.
+ */
+
+/**
+ * Red, green and blue channels of a hex color
+ * @param {string} hex - Color like #RRGGBB (an alpha suffix is ignored)
+ * @returns {Array<number>} [r, g, b], each 0..255
+ */
+export const parseHexColor = (hex) => {
+  const value = String(hex).replace('#', '')
+  return [0, 2, 4].map(offset => parseInt(value.slice(offset, offset + 2), 16))
+}
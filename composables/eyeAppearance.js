@@ -0,0 +1,161 @@
+import { parseHexColor } from './colorUtils.js'
+
+/**
+ * Skin, iris and brow appearance of the eye preview.
+ * Skin shading and highlights are derived from the skin tone and its undertone, so a custom
+ * complexion gets lid shadows and brow-bone highlights that belong to it instead of a gray
+ * overlay. The user's last appearance is kept in localStorage.
+ */
+
+const APPEARANCE_STORAGE_KEY = 'eyeshadow-eye-appearance'
+
+export const UNDERTONES = {
+  COOL: 'cool',
+  NEUTRAL: 'neutral',
+  WARM: 'warm',
+  OLIVE: 'olive'
+}
+
+// Tints mixed into the shadow and highlight tones of each undertone (null: plain darken/lighten)
+export const UNDERTONE_INFO = {
+  [UNDERTONES.COOL]: {
+    name: 'Cool',
+    description: 'Pink, red or bluish hints',
+    shadowTint: '#6E4A72',
+    highlightTint: '#FBE1EC'
+  },
+  [UNDERTONES.NEUTRAL]: {
+    name: 'Neutral',
+    description: 'A balance of warm and cool',
+    shadowTint: null,
+    highlightTint: null
+  },
+  [UNDERTONES.WARM]: {
+    name: 'Warm',
+    description: 'Golden, peachy or yellow hints',
+    shadowTint: '#8A5426',
+    highlightTint: '#FFE6BF'
+  },
+  [UNDERTONES.OLIVE]: {
+    name: 'Olive',
+    description: 'Greenish or gray-gold hints',
+    shadowTint: '#5E6234',
+    highlightTint: '#EFEACB'
+  }
+}
+
+// How far shadows darken and highlights lighten the skin tone, and how much tint they take on
+const SHADOW_DEPTH = 0.35
+const SHADOW_TINT = 0.3
+const HIGHLIGHT_LIFT = 0.45
+const HIGHLIGHT_TINT = 0.35
+
+// Opacity of the shading and highlight shapes once they carry real skin colors
+const SHADOW_OPACITY = 0.55
+const HIGHLIGHT_OPACITY = 0.5
+
+// Predefined brow colors
+export const BROW_COLORS = [
+  { name: 'Blonde', color: '#A7834F' },
+  { name: 'Auburn', color: '#6E3B23' },
+  { name: 'Brown', color: '#3B2A20' },
+  { name: 'Black', color: '#1C1614' },
+  { name: 'Gray', color: '#8A8580' }
+]
+
+export const DEFAULT_APPEARANCE = {
+  skinTone: '#F4E4C1',
+  undertone: UNDERTONES.NEUTRAL,
+  eyeColor: '#4A7C59',
+  browColor: '#3B2A20'
+}
+
+const toHex = (channels) => {
+  return '#' + channels.map(channel => Math.round(Math.min(255, Math.max(0, channel))).toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Mix two hex colors
+ * @param {string} from - Color like #RRGGBB (an alpha suffix is ignored)
+ * @param {string} to - Color to mix in
+ * @param {number} amount - 0 keeps `from`, 1 is `to`
+ * @returns {string} Mixed color as #RRGGBB
+ */
+export const mixColors = (from, to, amount) => {
+  const a = parseHexColor(from)
+  const b = parseHexColor(to)
+  return toHex(a.map((channel, index) => channel + (b[index] - channel) * amount))
+}
+
+/**
+ * Whether a value is a #RRGGBB color (an alpha suffix is allowed)
+ * @param {string} value - Value to check
+ * @returns {boolean}
+ */
+export const isHexColor = (value) => /^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(String(value))
+
+/**
+ * Shadow and highlight tones for a skin tone
+ * @param {string} skinTone - Skin color
+ * @param {string} undertone - Undertone (see UNDERTONES)
+ * @returns {{ shadow: string, highlight: string }} Colors as #RRGGBB
+ */
+export const getSkinShades = (skinTone, undertone) => {
+  const info = UNDERTONE_INFO[undertone] || UNDERTONE_INFO[UNDERTONES.NEUTRAL]
+  let shadow = mixColors(skinTone, '#000000', SHADOW_DEPTH)
+  let highlight = mixColors(skinTone, '#FFFFFF', HIGHLIGHT_LIFT)
+
+  if (info.shadowTint) {
+    shadow = mixColors(shadow, info.shadowTint, SHADOW_TINT)
+  }
+  if (info.highlightTint) {
+    highlight = mixColors(highlight, info.highlightTint, HIGHLIGHT_TINT)
+  }
+  return { shadow, highlight }
+}
+
+/**
+ * Artwork parts to recolor for an appearance (see eyeArtwork.js getArtworkStyleOverrides)
+ * @param {Object} appearance - { skinTone, undertone, eyeColor, browColor }
+ * @returns {Object} Part -> fill color or style
+ */
+export const getAppearanceParts = ({ skinTone, undertone, eyeColor, browColor }) => {
+  const { shadow, highlight } = getSkinShades(skinTone, undertone)
+  return {
+    iris: eyeColor,
+    brow: browColor,
+    skin: { fill: shadow, 'fill-opacity': SHADOW_OPACITY },
+    highlight: { fill: highlight, 'fill-opacity': HIGHLIGHT_OPACITY }
+  }
+}
+
+/**
+ * Load the user's appearance from localStorage, falling back to the defaults
+ * @returns {Object} { skinTone, undertone, eyeColor, browColor }
+ */
+export const loadStoredAppearance = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(APPEARANCE_STORAGE_KEY) || '{}')
+    return {
+      skinTone: isHexColor(stored.skinTone) ? stored.skinTone : DEFAULT_APPEARANCE.skinTone,
+      undertone: UNDERTONE_INFO[stored.undertone] ? stored.undertone : DEFAULT_APPEARANCE.undertone,
+      eyeColor: isHexColor(stored.eyeColor) ? stored.eyeColor : DEFAULT_APPEARANCE.eyeColor,
+      browColor: isHexColor(stored.browColor) ? stored.browColor : DEFAULT_APPEARANCE.browColor
+    }
+  } catch (error) {
+    console.warn('Failed to load stored eye appearance:', error)
+    return { ...DEFAULT_APPEARANCE }
+  }
+}
+
+/**
+ * Save the user's appearance to localStorage
+ * @param {Object} appearance - { skinTone, undertone, eyeColor, browColor }
+ */
+export const saveAppearance = (appearance) => {
+  try {
+    localStorage.setItem(APPEARANCE_STORAGE_KEY, JSON.stringify(appearance))
+  } catch (error) {
+    console.warn('Failed to save eye appearance:', error)
+  }
+}
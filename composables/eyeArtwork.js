@@ -0,0 +1,249 @@
+import artworkManifest from '../data/eyeArtworks.json'
+import { fitArtworkToCanvas } from './useSVGLoader.js'
+
+/**
+ * Eye artwork registry, read from data/eyeArtworks.json
+ * Each artwork has its own SVG, viewBox, class map and zone masks:
+ * - svg: file under src/assets
+ * - classMap: recolorable parts (iris, skin, highlight, brow) -> CSS selector in the SVG, or null when
+ *   the artwork has no such part
+ * - lashLines: upper and lower lash lines as one cubic curve each (M…C…), from the outer to the
+ *   inner corner, in viewBox units; liner presets and lashes are placed along them
+ * - zones: SVG path data in the artwork's own viewBox units, so masks stay aligned with the
+ *   artwork at any canvas size. Keys match EYE_ZONES in useEyeDrawing.js.
+ */
+
+// Bundled URLs of every artwork SVG, keyed by path relative to src/assets
+const svgUrls = Object.fromEntries(
+  Object.entries(import.meta.glob('../src/assets/**/*.svg', { eager: true, query: '?url', import: 'default' }))
+    .map(([path, url]) => [path.replace('../src/assets/', ''), url])
+)
+
+export const EYE_ARTWORKS = artworkManifest.artworks.map(artwork => ({
+  ...artwork,
+  svgUrl: svgUrls[artwork.svg]
+}))
+
+export const DEFAULT_ARTWORK_ID = artworkManifest.defaultArtwork
+
+/**
+ * Find an artwork by ID
+ * @param {string} artworkId - Artwork ID
+ * @returns {Object} Artwork config, or the default artwork when the ID is unknown
+ */
+export const getArtworkById = (artworkId) => {
+  return EYE_ARTWORKS.find(artwork => artwork.id === artworkId) ||
+    EYE_ARTWORKS.find(artwork => artwork.id === DEFAULT_ARTWORK_ID)
+}
+
+/**
+ * CSS overrides that recolor an artwork's parts
+ * @param {Object} artwork - Artwork config
+ * @param {Object} parts - Part (iris, skin, highlight, brow) -> fill color, or an object of CSS
+ *   properties; parts left out, or missing from the artwork, keep the artwork's own look
+ * @returns {Object} Style overrides for useSVGLoader.loadSVGToCanvas
+ */
+export const getArtworkStyleOverrides = (artwork, parts) => {
+  const overrides = {}
+  Object.entries(parts).forEach(([part, style]) => {
+    const selector = artwork.classMap[part]
+    if (selector && style) {
+      overrides[selector] = typeof style === 'string' ? { fill: style } : style
+    }
+  })
+  return overrides
+}
+
+/**
+ * Control points of one of an artwork's lash lines, in eye coordinates (see canvasToEye)
+ * @param {Object} artwork - Artwork config
+ * @param {string} line - 'upper' or 'lower'
+ * @returns {Array<{ x: number, y: number }>|null} Cubic curve from the outer to the inner corner,
+ *   or null when the artwork has no such lash line
+ */
+export const getLashLine = (artwork, line) => {
+  const pathData = artwork.lashLines?.[line]
+  if (!pathData) return null
+
+  const numbers = pathData.match(/-?[\d.]+/g).map(Number)
+  const points = []
+  for (let index = 0; index + 1 < numbers.length && points.length < 4; index += 2) {
+    points.push({ x: numbers[index] / artwork.viewBox.width, y: numbers[index + 1] / artwork.viewBox.width })
+  }
+  return points.length === 4 ? points : null
+}
+
+/**
+ * Aspect ratio of an artwork's viewBox
+ * @param {Object} artwork - Artwork config
+ * @returns {number} Width / height
+ */
+export const getArtworkAspectRatio = (artwork) => artwork.viewBox.width / artwork.viewBox.height
+
+/**
+ * Transform from artwork viewBox units to canvas pixels, matching how the SVG loader
+ * places the artwork on a canvas
+ * @param {Object} artwork - Artwork config
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {{ scale: number, offsetX: number, offsetY: number }}
+ */
+export const getArtworkTransform = (artwork, width, height) => {
+  const box = fitArtworkToCanvas(width, height, getArtworkAspectRatio(artwork))
+  return {
+    scale: box.width / artwork.viewBox.width,
+    offsetX: box.offsetX,
+    offsetY: box.offsetY
+  }
+}
+
+/**
+ * Eye views: one eye, or both eyes side by side with the second one mirrored
+ */
+export const EYE_VIEWS = {
+  SINGLE: 'single',
+  BOTH: 'both'
+}
+
+// Space left between the eyes in the both-eyes view, as a share of the canvas width
+const BRIDGE_WIDTH = 0.1
+
+/**
+ * Areas of the canvas that each show one eye
+ * Eye 0 is drawn as the artwork is; eye 1 (both-eyes view only) is mirrored, so the inner
+ * corners face each other.
+ * @param {string} view - Eye view (see EYE_VIEWS)
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Array<{ index: number, x: number, y: number, width: number, height: number, mirrored: boolean }>} Eye cells
+ */
+export const getEyeCells = (view, width, height) => {
+  if (view !== EYE_VIEWS.BOTH) {
+    return [{ index: 0, x: 0, y: 0, width, height, mirrored: false }]
+  }
+
+  const bridge = width * BRIDGE_WIDTH
+  const cellWidth = (width - bridge) / 2
+  return [
+    { index: 0, x: 0, y: 0, width: cellWidth, height, mirrored: false },
+    { index: 1, x: cellWidth + bridge, y: 0, width: cellWidth, height, mirrored: true }
+  ]
+}
+
+/**
+ * Zoom and pan of the canvas showing the whole eye view
+ * A view is { zoom, x, y }: a canvas position p shows the content of the fitted view at
+ * (p - offset) / zoom, where the offset is x and y as shares of the canvas width and height.
+ * Keeping the offset as shares of the canvas keeps the view stable when the canvas is resized.
+ */
+export const FIT_VIEW = { zoom: 1, x: 0, y: 0 }
+
+/**
+ * Place an eye cell in a zoomed and panned view
+ * @param {Object} cell - Eye cell of the fitted view (see getEyeCells)
+ * @param {Object} view - Canvas view (see FIT_VIEW)
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Object} Eye cell in canvas pixels of the view
+ */
+export const applyViewToCell = (cell, view, width, height) => {
+  return {
+    ...cell,
+    x: cell.x * view.zoom + view.x * width,
+    y: cell.y * view.zoom + view.y * height,
+    width: cell.width * view.zoom,
+    height: cell.height * view.zoom
+  }
+}
+
+/**
+ * Eye cell under a canvas position, or the nearest one when the position is between eyes
+ * @param {Array} cells - Eye cells (see getEyeCells)
+ * @param {number} x - Canvas x
+ * @returns {Object} Eye cell
+ */
+export const findEyeCell = (cells, x) => {
+  const distance = (cell) => Math.max(0, cell.x - x, x - (cell.x + cell.width))
+  return cells.reduce((nearest, cell) => distance(cell) < distance(nearest) ? cell : nearest)
+}
+
+/**
+ * Width in canvas pixels of the artwork drawn in an eye cell
+ * Eye coordinates (see canvasToEye) are fractions of this width.
+ * @param {Object} artwork - Artwork config
+ * @param {Object} cell - Eye cell
+ * @returns {number} Pixels per eye unit
+ */
+export const getEyeUnitSize = (artwork, cell) => {
+  return artwork.viewBox.width * getArtworkTransform(artwork, cell.width, cell.height).scale
+}
+
+/**
+ * Convert a canvas position to eye coordinates
+ * Eye coordinates are measured from the artwork's top-left corner in fractions of the
+ * artwork's width, in the eye's own (unmirrored) orientation, so one stroke can be drawn
+ * on either eye, at any canvas size and on any eye shape.
+ * @param {Object} artwork - Artwork config
+ * @param {Object} cell - Eye cell the position belongs to
+ * @param {number} x - Canvas x
+ * @param {number} y - Canvas y
+ * @returns {{ x: number, y: number }} Eye coordinates
+ */
+export const canvasToEye = (artwork, cell, x, y) => {
+  const { offsetX, offsetY } = getArtworkTransform(artwork, cell.width, cell.height)
+  const unit = getEyeUnitSize(artwork, cell)
+  const localX = cell.mirrored ? cell.x + cell.width - x : x - cell.x
+  return {
+    x: (localX - offsetX) / unit,
+    y: (y - cell.y - offsetY) / unit
+  }
+}
+
+/**
+ * Convert eye coordinates to a canvas position within an eye cell
+ * @param {Object} artwork - Artwork config
+ * @param {Object} cell - Eye cell to draw in
+ * @param {number} x - Eye x
+ * @param {number} y - Eye y
+ * @returns {{ x: number, y: number }} Canvas position
+ */
+export const eyeToCanvas = (artwork, cell, x, y) => {
+  const { offsetX, offsetY } = getArtworkTransform(artwork, cell.width, cell.height)
+  const unit = getEyeUnitSize(artwork, cell)
+  const localX = offsetX + x * unit
+  return {
+    x: cell.mirrored ? cell.x + cell.width - localX : cell.x + localX,
+    y: cell.y + offsetY + y * unit
+  }
+}
+
+/**
+ * Build a canvas path for an eye cell's outline
+ * @param {Object} cell - Eye cell
+ * @returns {Path2D} Cell rectangle
+ */
+export const createCellPath = (cell) => {
+  const path = new Path2D()
+  path.rect(cell.x, cell.y, cell.width, cell.height)
+  return path
+}
+
+/**
+ * Build a canvas path for a zone mask, in canvas pixels
+ * @param {Object} artwork - Artwork config
+ * @param {string} zone - Zone key (see EYE_ZONES)
+ * @param {Object} cell - Eye cell the zone is drawn in (see getEyeCells)
+ * @returns {Path2D|null} Zone path, or null when the artwork has no mask for the zone
+ */
+export const createZonePath = (artwork, zone, cell) => {
+  const pathData = artwork.zones[zone]
+  if (!pathData) return null
+
+  const { scale, offsetX, offsetY } = getArtworkTransform(artwork, cell.width, cell.height)
+  const matrix = cell.mirrored
+    ? [-scale, 0, 0, scale, cell.x + cell.width - offsetX, cell.y + offsetY]
+    : [scale, 0, 0, scale, cell.x + offsetX, cell.y + offsetY]
+  const path = new Path2D()
+  path.addPath(new Path2D(pathData), new DOMMatrix(matrix))
+  return path
+}
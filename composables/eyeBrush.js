@@ -0,0 +1,250 @@
+import { drawStrokeFinish } from './eyeFinishes.js'
+import { parseHexColor } from './colorUtils.js'
+
+/**
+ * Brush engine for the eye canvas.
+ * A stroke is stamped as soft round dabs spaced along the pointer path. Paint and erase
+ * dabs build up on a scratch canvas at `flow` per dab, and the scratch canvas is laid over
+ * the paint layer at `opacity`, so overlapping dabs within one stroke never exceed the
+ * stroke opacity (no banding), while separate strokes still layer like real eyeshadow.
+ * The blend tool instead carries paint picked up under the brush along the stroke.
+ * Pen pressure (0..1) can scale each dab's size and flow.
+ */
+
+export const BRUSH_TOOLS = {
+  PAINT: 'paint',
+  ERASE: 'erase',
+  BLEND: 'blend'
+}
+
+// Share of paint under the brush the blend tool picks up at each dab
+const BLEND_PICKUP_RATE = 0.35
+
+// Size and flow scale at the lightest pen pressure
+const MIN_PRESSURE_SIZE = 0.25
+const MIN_PRESSURE_FLOW = 0.2
+
+/**
+ * Convert a hex color to rgba()
+ * @param {string} hex - Color like #RRGGBB (an alpha suffix is ignored)
+ * @param {number} alpha - Alpha 0..1
+ * @returns {string} rgba() color
+ */
+const hexToRgba = (hex, alpha) => {
+  const [r, g, b] = parseHexColor(hex)
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`
+}
+
+/**
+ * Stamp one soft round dab
+ * Hardness is the share of the radius drawn at full strength before fading to the edge.
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {number} x - Dab center x
+ * @param {number} y - Dab center y
+ * @param {number} radius - Dab radius
+ * @param {number} hardness - 0 (airbrush) to 1 (hard edge)
+ * @param {string} hex - Dab color
+ */
+export const stampDab = (ctx, x, y, radius, hardness, hex) => {
+  const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius)
+  gradient.addColorStop(0, hexToRgba(hex, 1))
+  gradient.addColorStop(Math.min(0.99, Math.max(0, hardness)), hexToRgba(hex, 1))
+  gradient.addColorStop(1, hexToRgba(hex, 0))
+  ctx.fillStyle = gradient
+  ctx.beginPath()
+  ctx.arc(x, y, radius, 0, Math.PI * 2)
+  ctx.fill()
+}
+
+/**
+ * Dab positions along a segment at a fixed spacing, continuing from the previous segment
+ * @param {number} x1 - Segment start x
+ * @param {number} y1 - Segment start y
+ * @param {number} x2 - Segment end x
+ * @param {number} y2 - Segment end y
+ * @param {number} step - Distance between dabs in pixels
+ * @param {number} carry - Distance travelled since the last dab
+ * @returns {{ points: Array<{x: number, y: number, t: number}>, carry: number }} Dabs (t = position along the segment) and the new carry
+ */
+export const getDabPositions = (x1, y1, x2, y2, step, carry) => {
+  const distance = Math.hypot(x2 - x1, y2 - y1)
+  const points = []
+  let next = step - carry
+
+  while (next <= distance) {
+    const t = distance === 0 ? 0 : next / distance
+    points.push({ x: x1 + (x2 - x1) * t, y: y1 + (y2 - y1) * t, t })
+    next += step
+  }
+
+  return { points, carry: distance - (next - step) }
+}
+
+const createScratchCanvas = (width, height) => {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+/**
+ * Start a brush stroke on the paint layer
+ * @param {HTMLCanvasElement} paintCanvas - Paint layer canvas
+ * @param {Object} brush - { tool, color, size, hardness, flow, opacity, spacing, pressureSize, pressureOpacity }
+ * @param {Path2D|Array<Path2D>|null} clipPath - Area the stroke is limited to (the intersection
+ *   when several paths are given), or null. Strokes on the same canvas at the same time must
+ *   have separate clip areas, since each one only restores the paint under its own area.
+ * @returns {{ addPoint: Function, cancel: Function }} Stroke; call addPoint(x, y, pressure) for every
+ *   pointer position, or cancel() to put the paint layer back as it was before the stroke
+ */
+export const createBrushStroke = (paintCanvas, brush, clipPath = null) => {
+  const ctx = paintCanvas.getContext('2d')
+  let lastPoint = null
+  let carry = 0
+
+  const clipPaths = [].concat(clipPath || [])
+
+  const applyClip = (targetCtx) => {
+    clipPaths.forEach(path => targetCtx.clip(path))
+  }
+
+  const getPressureScale = (pressure, enabled, minimum) => {
+    return enabled ? minimum + (1 - minimum) * pressure : 1
+  }
+
+  // Snapshot of the paint layer, for compositing paint/erase strokes and for cancelling
+  const baseCanvas = createScratchCanvas(paintCanvas.width, paintCanvas.height)
+  baseCanvas.getContext('2d').drawImage(paintCanvas, 0, 0)
+
+  // Paint and erase: dabs go to a scratch canvas laid over the snapshot
+  let strokeCanvas = null
+  let strokeCtx = null
+
+  // Blend: paint carried by the brush
+  const pickupSize = Math.max(2, Math.ceil(brush.size))
+  const pickupRadius = pickupSize / 2
+  let pickupCanvas = null
+  let pickupCtx = null
+  let maskCanvas = null
+  let maskCtx = null
+
+  if (brush.tool === BRUSH_TOOLS.BLEND) {
+    pickupCanvas = createScratchCanvas(pickupSize, pickupSize)
+    pickupCtx = pickupCanvas.getContext('2d')
+    maskCanvas = createScratchCanvas(pickupSize, pickupSize)
+    maskCtx = maskCanvas.getContext('2d')
+  } else {
+    strokeCanvas = createScratchCanvas(paintCanvas.width, paintCanvas.height)
+    strokeCtx = strokeCanvas.getContext('2d')
+  }
+
+  const pickUpPaint = (x, y, rate) => {
+    pickupCtx.save()
+    pickupCtx.globalAlpha = rate
+    pickupCtx.drawImage(paintCanvas, x - pickupRadius, y - pickupRadius, pickupSize, pickupSize, 0, 0, pickupSize, pickupSize)
+    pickupCtx.restore()
+  }
+
+  const blendDab = (x, y, radius, flow) => {
+    // Shape the carried paint like a dab, then lay it down and pick up what is underneath
+    maskCtx.globalCompositeOperation = 'copy'
+    maskCtx.drawImage(pickupCanvas, 0, 0)
+    maskCtx.globalCompositeOperation = 'destination-in'
+    stampDab(maskCtx, pickupRadius, pickupRadius, radius, brush.hardness, '#000000')
+
+    ctx.save()
+    applyClip(ctx)
+    ctx.globalAlpha = flow
+    ctx.drawImage(maskCanvas, x - pickupRadius, y - pickupRadius)
+    ctx.restore()
+
+    pickUpPaint(x, y, BLEND_PICKUP_RATE)
+  }
+
+  const restoreBase = () => {
+    ctx.save()
+    applyClip(ctx)
+    ctx.globalCompositeOperation = 'copy'
+    ctx.drawImage(baseCanvas, 0, 0)
+    ctx.restore()
+  }
+
+  const compositeStroke = () => {
+    restoreBase()
+
+    ctx.save()
+    applyClip(ctx)
+    if (brush.tool === BRUSH_TOOLS.ERASE) {
+      ctx.globalCompositeOperation = 'destination-out'
+      ctx.globalAlpha = 1
+    } else {
+      ctx.globalAlpha = brush.opacity
+    }
+    ctx.drawImage(strokeCanvas, 0, 0)
+    ctx.restore()
+  }
+
+  const stampDabs = (points) => {
+    const hex = brush.tool === BRUSH_TOOLS.PAINT ? brush.color.bgColor : '#000000'
+
+    points.forEach(point => {
+      const radius = (brush.size / 2) * getPressureScale(point.pressure, brush.pressureSize, MIN_PRESSURE_SIZE)
+      const flow = brush.flow * getPressureScale(point.pressure, brush.pressureOpacity, MIN_PRESSURE_FLOW)
+
+      if (brush.tool === BRUSH_TOOLS.BLEND) {
+        blendDab(point.x, point.y, radius, flow)
+      } else {
+        strokeCtx.save()
+        strokeCtx.globalAlpha = flow
+        stampDab(strokeCtx, point.x, point.y, radius, brush.hardness, hex)
+        strokeCtx.restore()
+      }
+    })
+  }
+
+  /**
+   * Extend the stroke to a pointer position
+   * @param {number} x - Canvas x
+   * @param {number} y - Canvas y
+   * @param {number} pressure - Pen pressure 0..1 (1 for mouse and touch)
+   */
+  const addPoint = (x, y, pressure = 1) => {
+    const from = lastPoint || { x, y, pressure }
+    let points
+
+    if (!lastPoint) {
+      points = [{ x, y, pressure }]
+      if (brush.tool === BRUSH_TOOLS.BLEND) {
+        pickUpPaint(x, y, 1)
+      }
+    } else {
+      // Space dabs by the size the brush has at this pressure
+      const sizeScale = getPressureScale(from.pressure, brush.pressureSize, MIN_PRESSURE_SIZE)
+      const step = Math.max(1, brush.size * sizeScale * brush.spacing)
+      const result = getDabPositions(from.x, from.y, x, y, step, carry)
+      points = result.points.map(point => ({
+        ...point,
+        pressure: from.pressure + (pressure - from.pressure) * point.t
+      }))
+      carry = result.carry
+    }
+    lastPoint = { x, y, pressure }
+
+    stampDabs(points)
+
+    if (brush.tool === BRUSH_TOOLS.PAINT) {
+      // Shimmer/sparkle texture on top of the base color
+      const width = brush.size * getPressureScale(pressure, brush.pressureSize, MIN_PRESSURE_SIZE)
+      drawStrokeFinish(strokeCtx, brush.color, from.x, from.y, x, y, width, brush.flow)
+    }
+    if (brush.tool !== BRUSH_TOOLS.BLEND) {
+      compositeStroke()
+    }
+  }
+
+  const cancel = () => {
+    restoreBase()
+  }
+
+  return { addPoint, cancel }
+}
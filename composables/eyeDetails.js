@@ -0,0 +1,598 @@
+import { getLashLine, eyeToCanvas, getEyeUnitSize } from './eyeArtwork.js'
+import { hashCell } from './eyeFinishes.js'
+
+/**
+ * Eye details: eyeliner, lashes and brow fill.
+ * Each is drawn on its own layer over the eye artwork, so it covers the artwork's lash line and
+ * brow the way makeup would, and can be left out of exports. Liner is a smoothed vector line
+ * that narrows toward its ends; preset lines and lashes are placed along the artwork's lash
+ * lines (see eyeArtwork.js getLashLine), so they follow the eye shape. Brow fill colors the
+ * artwork's own brow element. Everything is described in eye coordinates and rendered per eye
+ * cell, so details mirror onto the second eye like strokes do.
+ */
+
+export const DETAIL_LAYERS = {
+  BROW: 'brow',
+  LINER: 'liner',
+  LASHES: 'lashes'
+}
+
+// Detail layers from bottom to top
+export const DETAIL_LAYER_ORDER = [DETAIL_LAYERS.BROW, DETAIL_LAYERS.LINER, DETAIL_LAYERS.LASHES]
+
+export const DETAIL_LAYER_INFO = {
+  [DETAIL_LAYERS.BROW]: { name: 'Brows' },
+  [DETAIL_LAYERS.LINER]: { name: 'Liner' },
+  [DETAIL_LAYERS.LASHES]: { name: 'Lashes' }
+}
+
+// Drawing tool for freehand liner, used in place of a brush tool (see eyeBrush.js BRUSH_TOOLS)
+export const LINER_TOOL = 'liner'
+
+// Predefined liner colors
+export const LINER_COLORS = [
+  { name: 'Black', color: '#151313' },
+  { name: 'Brown', color: '#4A2E1F' },
+  { name: 'Navy', color: '#1F2A4D' },
+  { name: 'Plum', color: '#4B2545' },
+  { name: 'Olive', color: '#3E4A2A' },
+  { name: 'White', color: '#F4F1EA' }
+]
+
+export const LINER_TAPERS = {
+  EVEN: 'even',
+  TAPERED: 'tapered',
+  FLICK: 'flick'
+}
+
+// Share of a line's length over which it narrows at its start and at its end
+export const LINER_TAPER_INFO = {
+  [LINER_TAPERS.EVEN]: {
+    name: 'Even',
+    description: 'The same width along the whole line',
+    start: 0,
+    end: 0
+  },
+  [LINER_TAPERS.TAPERED]: {
+    name: 'Tapered',
+    description: 'Narrows to a point at both ends',
+    start: 0.25,
+    end: 0.25
+  },
+  [LINER_TAPERS.FLICK]: {
+    name: 'Flick',
+    description: 'Starts full and flicks out to a fine point',
+    start: 0.05,
+    end: 0.5
+  }
+}
+
+export const LINER_PRESETS = {
+  TIGHTLINE: 'tightline',
+  CLASSIC: 'classic',
+  WING: 'wing',
+  DRAMATIC_WING: 'dramatic_wing'
+}
+
+/**
+ * Preset lines along the upper lash line
+ * - width: widest point in eye units
+ * - taper: { start, end } shares of the line that narrow (the line runs inner to outer corner)
+ * - from: where the line starts, as a share of the lash line measured from the inner corner
+ * - wing: { length (eye units), angle (degrees above horizontal) } past the outer corner, or null
+ */
+export const LINER_PRESET_INFO = {
+  [LINER_PRESETS.TIGHTLINE]: {
+    name: 'Tightline',
+    description: 'A thin, even line hugging the lashes',
+    width: 0.008,
+    taper: { start: 0.08, end: 0.08 },
+    from: 0.04,
+    wing: null
+  },
+  [LINER_PRESETS.CLASSIC]: {
+    name: 'Classic',
+    description: 'Fine at the inner corner, thicker toward the outer corner',
+    width: 0.016,
+    taper: { start: 0.55, end: 0.06 },
+    from: 0.12,
+    wing: null
+  },
+  [LINER_PRESETS.WING]: {
+    name: 'Winged',
+    description: 'A classic line with a short flick past the outer corner',
+    width: 0.018,
+    taper: { start: 0.45, end: 0.25 },
+    from: 0.15,
+    wing: { length: 0.09, angle: 22 }
+  },
+  [LINER_PRESETS.DRAMATIC_WING]: {
+    name: 'Dramatic Wing',
+    description: 'A bold line with a long, lifted wing',
+    width: 0.026,
+    taper: { start: 0.35, end: 0.22 },
+    from: 0.05,
+    wing: { length: 0.15, angle: 30 }
+  }
+}
+
+export const LASH_STYLES = {
+  NATURAL: 'natural',
+  VOLUME: 'volume',
+  WISPY: 'wispy',
+  CAT_EYE: 'cat_eye',
+  DOLL: 'doll'
+}
+
+/**
+ * How each lash style looks
+ * - count: upper lashes per eye at full density
+ * - length, thickness: longest lash and base width, in eye units
+ * - lengthAt: length multiplier along the lash line, t = 0 at the outer corner, 1 at the inner corner
+ * - sweep: how far lashes lean toward the outer corner there, in radians
+ * - lower: lower lash length as a share of the upper, 0 for none
+ * - clumped: lashes gather into spikes of uneven length
+ */
+export const LASH_STYLE_INFO = {
+  [LASH_STYLES.NATURAL]: {
+    name: 'Natural',
+    description: 'Fine lashes, a little longer toward the outer corner',
+    count: 40,
+    length: 0.055,
+    thickness: 0.0032,
+    lengthAt: (t) => 1 - 0.45 * t,
+    sweep: 0.45,
+    lower: 0.4,
+    clumped: false
+  },
+  [LASH_STYLES.VOLUME]: {
+    name: 'Volume',
+    description: 'Thick, full lashes along the whole lid',
+    count: 60,
+    length: 0.06,
+    thickness: 0.0048,
+    lengthAt: (t) => 1 - 0.3 * t,
+    sweep: 0.4,
+    lower: 0.45,
+    clumped: false
+  },
+  [LASH_STYLES.WISPY]: {
+    name: 'Wispy',
+    description: 'Fluttery spikes of mixed lengths',
+    count: 50,
+    length: 0.065,
+    thickness: 0.003,
+    lengthAt: (t) => 1 - 0.4 * t,
+    sweep: 0.5,
+    lower: 0.35,
+    clumped: true
+  },
+  [LASH_STYLES.CAT_EYE]: {
+    name: 'Cat Eye',
+    description: 'Longest at the outer corner to lift and elongate the eye',
+    count: 45,
+    length: 0.075,
+    thickness: 0.0036,
+    lengthAt: (t) => 0.45 + 0.6 * (1 - t) ** 2,
+    sweep: 0.7,
+    lower: 0.3,
+    clumped: false
+  },
+  [LASH_STYLES.DOLL]: {
+    name: 'Doll',
+    description: 'Longest at the center to open up the eye',
+    count: 45,
+    length: 0.07,
+    thickness: 0.0036,
+    lengthAt: (t) => 0.55 + 0.45 * Math.sin(Math.PI * t),
+    sweep: 0.25,
+    lower: 0.5,
+    clumped: false
+  }
+}
+
+// Density presets, as a share of a style's full lash count
+export const LASH_DENSITIES = [
+  { label: 'Sparse', value: 0.4 },
+  { label: 'Medium', value: 0.7 },
+  { label: 'Full', value: 1 }
+]
+
+export const BROW_FILL_STYLES = {
+  POWDER: 'powder',
+  PENCIL: 'pencil',
+  POMADE: 'pomade'
+}
+
+/**
+ * How each brow fill style covers the brow
+ * - opacity: opacity of the fill over the whole brow
+ * - softness: blur of the fill's edge in eye units
+ * - hairs: draw hair-like strokes over the fill
+ */
+export const BROW_FILL_INFO = {
+  [BROW_FILL_STYLES.POWDER]: {
+    name: 'Powder',
+    description: 'A soft, diffused fill',
+    opacity: 0.55,
+    softness: 0.006,
+    hairs: false
+  },
+  [BROW_FILL_STYLES.PENCIL]: {
+    name: 'Pencil',
+    description: 'Hair-like strokes over a light fill',
+    opacity: 0.3,
+    softness: 0,
+    hairs: true
+  },
+  [BROW_FILL_STYLES.POMADE]: {
+    name: 'Pomade',
+    description: 'A crisp, fully filled brow',
+    opacity: 0.9,
+    softness: 0,
+    hairs: false
+  }
+}
+
+const MASCARA_COLOR = '#141011'
+
+// Points of a freehand line closer than this (eye units) are merged before smoothing, so a slow hand doesn't wobble
+const LINER_MIN_POINT_DISTANCE = 0.004
+const LINER_SMOOTHING_PASSES = 2
+
+// Width of a liner at the lightest pen pressure, and at the tip of a taper, as a share of its full width
+const LINER_MIN_PRESSURE_WIDTH = 0.35
+const LINER_MIN_TAPER_WIDTH = 0.08
+
+// Spacing and length of brow hair strokes in eye units, and how much of the artwork's height can hold brow
+const BROW_HAIR_SPACING = 0.011
+const BROW_HAIR_LENGTH = 0.022
+const BROW_HAIR_AREA = 0.6
+
+const lerpPoint = (a, b, t) => ({
+  x: a.x + (b.x - a.x) * t,
+  y: a.y + (b.y - a.y) * t,
+  pressure: a.pressure + (b.pressure - a.pressure) * t
+})
+
+/**
+ * Point on a cubic curve
+ * @param {Array<{x: number, y: number}>} curve - Four control points
+ * @param {number} t - Position along the curve, 0..1
+ */
+const pointOnCurve = (curve, t) => {
+  const [p0, p1, p2, p3] = curve
+  const u = 1 - t
+  const a = u * u * u
+  const b = 3 * u * u * t
+  const c = 3 * u * t * t
+  const d = t * t * t
+  return {
+    x: a * p0.x + b * p1.x + c * p2.x + d * p3.x,
+    y: a * p0.y + b * p1.y + c * p2.y + d * p3.y
+  }
+}
+
+/**
+ * Unit normal of a cubic curve, turned to point up (or down) away from the eye
+ * @param {Array<{x: number, y: number}>} curve - Four control points
+ * @param {number} t - Position along the curve, 0..1
+ * @param {number} side - -1 for a normal pointing up, 1 for down
+ */
+const normalOnCurve = (curve, t, side) => {
+  const before = pointOnCurve(curve, Math.max(0, t - 0.01))
+  const after = pointOnCurve(curve, Math.min(1, t + 0.01))
+  const length = Math.hypot(after.x - before.x, after.y - before.y) || 1
+  const normal = { x: -(after.y - before.y) / length, y: (after.x - before.x) / length }
+  return Math.sign(normal.y) === side ? normal : { x: -normal.x, y: -normal.y }
+}
+
+/**
+ * Direction along x from the inner toward the outer corner of an artwork's eye
+ * @returns {number} -1 when the outer corner is on the left, 1 when it is on the right
+ */
+const getOutwardDirection = (curve) => Math.sign(curve[0].x - curve[3].x) || -1
+
+/**
+ * Smooth a freehand line into an even vector path
+ * Points closer than a minimum distance are merged, then corners are rounded off by
+ * repeatedly cutting them (Chaikin), keeping both ends in place.
+ * @param {Array<{x: number, y: number, pressure: number}>} points - Recorded points in eye coordinates
+ * @returns {Array<{x: number, y: number, pressure: number}>} Smoothed path
+ */
+export const smoothLinerPath = (points) => {
+  let path = []
+  points.forEach((point, index) => {
+    const last = path[path.length - 1]
+    const isFar = !last || Math.hypot(point.x - last.x, point.y - last.y) >= LINER_MIN_POINT_DISTANCE
+    const next = { x: point.x, y: point.y, pressure: point.pressure ?? 1 }
+    if (isFar) {
+      path.push(next)
+    } else if (index === points.length - 1 && path.length > 1) {
+      // The line must still end where the pointer lifted
+      path[path.length - 1] = next
+    }
+  })
+
+  for (let pass = 0; pass < LINER_SMOOTHING_PASSES && path.length > 2; pass++) {
+    const smoothed = [path[0]]
+    for (let index = 0; index < path.length - 1; index++) {
+      smoothed.push(lerpPoint(path[index], path[index + 1], 0.25), lerpPoint(path[index], path[index + 1], 0.75))
+    }
+    smoothed.push(path[path.length - 1])
+    path = smoothed
+  }
+  return path
+}
+
+/**
+ * Path of a preset line on an artwork, from the inner corner along the upper lash line to the
+ * outer corner, then out along the wing
+ * @param {Object} artwork - Artwork config
+ * @param {string} preset - Liner preset (see LINER_PRESETS)
+ * @returns {Array<{x: number, y: number, pressure: number}>} Smoothed path in eye coordinates,
+ *   empty when the artwork has no upper lash line
+ */
+export const getLinerPresetPath = (artwork, preset) => {
+  const info = LINER_PRESET_INFO[preset]
+  const curve = getLashLine(artwork, 'upper')
+  if (!info || !curve) return []
+
+  const SAMPLES = 24
+  const startT = 1 - info.from
+  const points = []
+  for (let index = 0; index <= SAMPLES; index++) {
+    points.push({ ...pointOnCurve(curve, startT * (1 - index / SAMPLES)), pressure: 1 })
+  }
+
+  if (info.wing) {
+    const outer = curve[0]
+    const angle = info.wing.angle * Math.PI / 180
+    const tip = {
+      x: outer.x + getOutwardDirection(curve) * Math.cos(angle) * info.wing.length,
+      y: outer.y - Math.sin(angle) * info.wing.length,
+      pressure: 1
+    }
+    for (let index = 1; index <= 4; index++) {
+      points.push(lerpPoint({ ...outer, pressure: 1 }, tip, index / 4))
+    }
+  }
+  return smoothLinerPath(points)
+}
+
+/**
+ * Fill a line of varying width: pressure scales it, and it narrows over the tapered shares of its length
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Array<{x: number, y: number, pressure: number}>} points - Path in canvas pixels
+ * @param {number} width - Full width in canvas pixels
+ * @param {{ start: number, end: number }} taper - Tapered shares of the length at each end
+ * @param {string} color - Fill color
+ */
+export const drawLinerPath = (ctx, points, width, taper, color) => {
+  if (points.length === 0) return
+
+  const lengths = [0]
+  for (let index = 1; index < points.length; index++) {
+    const previous = points[index - 1]
+    lengths.push(lengths[index - 1] + Math.hypot(points[index].x - previous.x, points[index].y - previous.y))
+  }
+  const total = lengths[lengths.length - 1]
+
+  const halfWidths = points.map((point, index) => {
+    const share = total > 0 ? lengths[index] / total : 0.5
+    const taperStart = taper.start > 0 ? share / taper.start : 1
+    const taperEnd = taper.end > 0 ? (1 - share) / taper.end : 1
+    const taperScale = Math.max(LINER_MIN_TAPER_WIDTH, Math.min(1, taperStart, taperEnd))
+    const pressureScale = LINER_MIN_PRESSURE_WIDTH + (1 - LINER_MIN_PRESSURE_WIDTH) * point.pressure
+    return width / 2 * taperScale * pressureScale
+  })
+
+  ctx.save()
+  ctx.fillStyle = color
+  ctx.beginPath()
+  if (points.length > 1 && total > 0) {
+    // Outline: one side forward, the other side back
+    const sides = points.map((point, index) => {
+      const before = points[Math.max(0, index - 1)]
+      const after = points[Math.min(points.length - 1, index + 1)]
+      const length = Math.hypot(after.x - before.x, after.y - before.y) || 1
+      const normal = { x: -(after.y - before.y) / length, y: (after.x - before.x) / length }
+      const half = halfWidths[index]
+      return {
+        left: { x: point.x + normal.x * half, y: point.y + normal.y * half },
+        right: { x: point.x - normal.x * half, y: point.y - normal.y * half }
+      }
+    })
+    ctx.moveTo(sides[0].left.x, sides[0].left.y)
+    sides.forEach(({ left }) => ctx.lineTo(left.x, left.y))
+    for (let index = sides.length - 1; index >= 0; index--) {
+      ctx.lineTo(sides[index].right.x, sides[index].right.y)
+    }
+    ctx.closePath()
+  }
+  // Round caps
+  const capIndexes = [0, points.length - 1]
+  capIndexes.forEach(index => {
+    ctx.moveTo(points[index].x + halfWidths[index], points[index].y)
+    ctx.arc(points[index].x, points[index].y, halfWidths[index], 0, Math.PI * 2)
+  })
+  ctx.fill('nonzero')
+  ctx.restore()
+}
+
+/**
+ * Draw a liner path on one eye
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} artwork - Artwork config
+ * @param {Object} cell - Eye cell (see eyeArtwork.js getEyeCells)
+ * @param {Array} path - Path in eye coordinates
+ * @param {Object} liner - { color, width (eye units), taper }
+ */
+export const drawLinerInCell = (ctx, artwork, cell, path, liner) => {
+  const points = path.map(point => ({ ...eyeToCanvas(artwork, cell, point.x, point.y), pressure: point.pressure }))
+  drawLinerPath(ctx, points, liner.width * getEyeUnitSize(artwork, cell), liner.taper, liner.color)
+}
+
+/**
+ * Draw one lash as a curved sliver from its base to a fine tip
+ * Geometry is in eye coordinates and mapped into the cell, so lashes mirror with the eye.
+ */
+const drawLash = (ctx, toCanvas, base, normal, lean, length, thickness) => {
+  // The lash leaves the lid along the normal and curls toward the lean direction at the tip
+  const control = { x: base.x + normal.x * length * 0.55, y: base.y + normal.y * length * 0.55 }
+  const tip = {
+    x: base.x + (normal.x * 0.8 + lean.x) * length,
+    y: base.y + (normal.y * 0.8 + lean.y) * length
+  }
+  const across = { x: -normal.y * thickness / 2, y: normal.x * thickness / 2 }
+  const points = [
+    { x: base.x + across.x, y: base.y + across.y },
+    { x: control.x + across.x * 0.5, y: control.y + across.y * 0.5 },
+    tip,
+    { x: control.x - across.x * 0.5, y: control.y - across.y * 0.5 },
+    { x: base.x - across.x, y: base.y - across.y }
+  ].map(toCanvas)
+
+  ctx.moveTo(points[0].x, points[0].y)
+  ctx.quadraticCurveTo(points[1].x, points[1].y, points[2].x, points[2].y)
+  ctx.quadraticCurveTo(points[3].x, points[3].y, points[4].x, points[4].y)
+  ctx.closePath()
+}
+
+/**
+ * Draw lashes along one lash line of one eye
+ */
+const drawLashLine = (ctx, toCanvas, curve, info, count, side, lengthScale, salt) => {
+  const outward = getOutwardDirection(curve)
+  for (let index = 0; index < count; index++) {
+    // Spread from just inside the outer corner to just short of the inner corner
+    const t = 0.02 + 0.94 * (index + 0.5) / count
+    const base = pointOnCurve(curve, t)
+    const normal = normalOnCurve(curve, t, side)
+
+    let length = info.length * lengthScale * info.lengthAt(t) * (0.85 + 0.3 * hashCell(index, salt, 1))
+    if (info.clumped) {
+      // Every few lashes gather into a longer spike
+      length *= hashCell(Math.floor(index / 4), salt, 2) > 0.55 && index % 4 === 1 ? 1.3 : 0.8
+    }
+    const sweep = info.sweep * (1 - t) + (hashCell(index, salt, 3) - 0.5) * 0.2
+    const lean = { x: outward * Math.sin(sweep), y: 0 }
+    drawLash(ctx, toCanvas, base, normal, lean, length, info.thickness)
+  }
+}
+
+/**
+ * Draw a lash style on one eye, along the artwork's upper and lower lash lines
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} artwork - Artwork config
+ * @param {Object} cell - Eye cell (see eyeArtwork.js getEyeCells)
+ * @param {string} style - Lash style (see LASH_STYLES)
+ * @param {number} density - Share of the style's full lash count, 0..1
+ */
+export const drawLashesInCell = (ctx, artwork, cell, style, density) => {
+  const info = LASH_STYLE_INFO[style]
+  if (!info) return
+
+  const toCanvas = (point) => eyeToCanvas(artwork, cell, point.x, point.y)
+  const upperCount = Math.max(6, Math.round(info.count * density))
+
+  ctx.save()
+  ctx.fillStyle = MASCARA_COLOR
+  ctx.beginPath()
+  const upper = getLashLine(artwork, 'upper')
+  if (upper) {
+    drawLashLine(ctx, toCanvas, upper, info, upperCount, -1, 1, 0)
+  }
+  const lower = getLashLine(artwork, 'lower')
+  if (lower && info.lower > 0) {
+    drawLashLine(ctx, toCanvas, lower, info, Math.round(upperCount * 0.45), 1, info.lower, 1)
+  }
+  ctx.fill()
+  ctx.restore()
+}
+
+/**
+ * Hair-like strokes over the part of an eye that can hold the brow, to be masked to the brow
+ * Hairs stand up at the inner end of the brow and lie flatter toward the tail.
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} artwork - Artwork config
+ * @param {Object} cell - Eye cell (see eyeArtwork.js getEyeCells)
+ * @param {string} color - Hair color
+ */
+const drawBrowHairs = (ctx, artwork, cell, color) => {
+  const unit = getEyeUnitSize(artwork, cell)
+  const curve = getLashLine(artwork, 'upper')
+  const outward = curve ? getOutwardDirection(curve) : -1
+  const rows = Math.ceil(artwork.viewBox.height / artwork.viewBox.width * BROW_HAIR_AREA / BROW_HAIR_SPACING)
+  const columns = Math.ceil(1 / BROW_HAIR_SPACING)
+
+  ctx.save()
+  ctx.strokeStyle = color
+  ctx.lineWidth = Math.max(0.75, unit * 0.0025)
+  ctx.lineCap = 'round'
+  ctx.beginPath()
+  for (let column = 0; column <= columns; column++) {
+    for (let row = 0; row <= rows; row++) {
+      const x = (column + hashCell(column, row, 1)) * BROW_HAIR_SPACING
+      const y = (row + hashCell(column, row, 2)) * BROW_HAIR_SPACING
+      // 0 at the tail (outer side), 1 at the inner end of the brow
+      const inner = outward < 0 ? x : 1 - x
+      const angle = (1 - inner) * 1.15 + 0.15 + (hashCell(column, row, 3) - 0.5) * 0.3
+      const length = BROW_HAIR_LENGTH * (0.7 + 0.6 * hashCell(column, row, 4))
+      const start = eyeToCanvas(artwork, cell, x, y)
+      const end = eyeToCanvas(artwork, cell, x + outward * Math.sin(angle) * length, y - Math.cos(angle) * length)
+      ctx.moveTo(start.x, start.y)
+      ctx.lineTo(end.x, end.y)
+    }
+  }
+  ctx.stroke()
+  ctx.restore()
+}
+
+/**
+ * Fill the brows with a color
+ * @param {HTMLCanvasElement} canvas - Brow layer to draw into
+ * @param {HTMLCanvasElement} mask - Canvas of the same size holding the artwork's brow element in every cell
+ * @param {Object} artwork - Artwork config
+ * @param {Array} cells - Eye cells
+ * @param {string} style - Brow fill style (see BROW_FILL_STYLES)
+ * @param {string} color - Fill color
+ */
+export const drawBrowFill = (canvas, mask, artwork, cells, style, color) => {
+  const info = BROW_FILL_INFO[style]
+  if (!info || cells.length === 0) return
+
+  const createLayer = () => {
+    const layer = document.createElement('canvas')
+    layer.width = canvas.width
+    layer.height = canvas.height
+    return layer
+  }
+
+  // The fill: the brow's shape in the fill color, softened at the edge for powder
+  const fill = createLayer()
+  const fillCtx = fill.getContext('2d')
+  if (info.softness > 0) {
+    fillCtx.filter = `blur(${Math.max(1, info.softness * getEyeUnitSize(artwork, cells[0]))}px)`
+  }
+  fillCtx.drawImage(mask, 0, 0)
+  fillCtx.filter = 'none'
+  fillCtx.globalCompositeOperation = 'source-in'
+  fillCtx.fillStyle = color
+  fillCtx.fillRect(0, 0, fill.width, fill.height)
+
+  const ctx = canvas.getContext('2d')
+  ctx.save()
+  ctx.globalAlpha = info.opacity
+  ctx.drawImage(fill, 0, 0)
+  ctx.restore()
+
+  if (info.hairs) {
+    const hairs = createLayer()
+    const hairsCtx = hairs.getContext('2d')
+    cells.forEach(cell => drawBrowHairs(hairsCtx, artwork, cell, color))
+    hairsCtx.globalCompositeOperation = 'destination-in'
+    hairsCtx.drawImage(mask, 0, 0)
+    ctx.drawImage(hairs, 0, 0)
+  }
+}
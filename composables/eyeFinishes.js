@@ -0,0 +1,166 @@
+import { useColorEffects } from './useColorEffects.js'
+import { parseHexColor } from './colorUtils.js'
+
+/**
+ * Canvas rendering of eyeshadow finishes (see useColorEffects EFFECTS).
+ * Matte is the plain fill the brush already draws. Shimmer adds a luminous sheen of a
+ * lightened tone; sparkly adds glitter particles. Particles are placed on a fixed grid and
+ * seeded by grid position, so repainting an area shows the same glitter instead of new noise.
+ */
+
+const { EFFECTS } = useColorEffects()
+
+// Glitter grid spacing in canvas pixels and the share of grid cells that hold a particle
+const SPARKLE_CELL_SIZE = 6
+const SPARKLE_DENSITY = 0.45
+
+/**
+ * Mix a hex color with white
+ * @param {string} hex - Color like #RRGGBB (an alpha suffix is ignored)
+ * @param {number} amount - 0 keeps the color, 1 is white
+ * @returns {string} rgb() color
+ */
+export const lightenColor = (hex, amount) => {
+  const [r, g, b] = parseHexColor(hex).map(channel => Math.round(channel + (255 - channel) * amount))
+  return `rgb(${r}, ${g}, ${b})`
+}
+
+/**
+ * Whether a color needs a finish pass on top of its base fill
+ * @param {Object} colorData - Color data with an effect
+ * @returns {boolean}
+ */
+export const hasFinish = (colorData) => {
+  return colorData?.effect === EFFECTS.SHIMMER || colorData?.effect === EFFECTS.SPARKLY
+}
+
+/**
+ * Deterministic 0..1 value for a grid cell (integer hash, no shared RNG state)
+ * @param {number} cellX - Integer cell x
+ * @param {number} cellY - Integer cell y
+ * @param {number} salt - Picks an independent value for the same cell
+ * @returns {number} Value in 0..1
+ */
+export const hashCell = (cellX, cellY, salt = 0) => {
+  let hash = (Math.imul(cellX, 374761393) + Math.imul(cellY, 668265263) + Math.imul(salt, 1442695041)) | 0
+  hash = Math.imul(hash ^ (hash >>> 13), 1274126177)
+  hash ^= hash >>> 16
+  return (hash >>> 0) / 4294967296
+}
+
+// Distance from a point to the segment (x1, y1)-(x2, y2)
+const distanceToSegment = (px, py, x1, y1, x2, y2) => {
+  const dx = x2 - x1
+  const dy = y2 - y1
+  const lengthSquared = dx * dx + dy * dy
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lengthSquared))
+  return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy))
+}
+
+/**
+ * Draw glitter particles for the grid cells accepted by a test
+ * @param {CanvasRenderingContext2D} ctx - Target context (composite op and clip already set)
+ * @param {Object} bounds - { left, top, right, bottom } area to scan, in canvas pixels
+ * @param {Function} includes - (x, y) => boolean, whether a particle position is inside the stroke
+ * @param {string} hex - Base color of the stroke
+ * @param {number} opacity - Stroke opacity
+ */
+const drawSparkleParticles = (ctx, bounds, includes, hex, opacity) => {
+  const startX = Math.floor(bounds.left / SPARKLE_CELL_SIZE)
+  const endX = Math.ceil(bounds.right / SPARKLE_CELL_SIZE)
+  const startY = Math.floor(bounds.top / SPARKLE_CELL_SIZE)
+  const endY = Math.ceil(bounds.bottom / SPARKLE_CELL_SIZE)
+  const highlight = lightenColor(hex, 0.75)
+
+  for (let cellX = startX; cellX <= endX; cellX++) {
+    for (let cellY = startY; cellY <= endY; cellY++) {
+      if (hashCell(cellX, cellY) > SPARKLE_DENSITY) continue
+
+      const x = (cellX + hashCell(cellX, cellY, 1)) * SPARKLE_CELL_SIZE
+      const y = (cellY + hashCell(cellX, cellY, 2)) * SPARKLE_CELL_SIZE
+      if (!includes(x, y)) continue
+
+      const size = 0.6 + hashCell(cellX, cellY, 3) * 1.2
+      ctx.globalAlpha = Math.min(1, opacity + 0.3) * (0.5 + hashCell(cellX, cellY, 4) * 0.5)
+      ctx.fillStyle = hashCell(cellX, cellY, 5) > 0.6 ? '#FFFFFF' : highlight
+      ctx.beginPath()
+      ctx.arc(x, y, size, 0, Math.PI * 2)
+      ctx.fill()
+    }
+  }
+}
+
+/**
+ * Draw the finish pass for a brush segment on top of its base stroke
+ * A zero-length segment is treated as a single dab.
+ * @param {CanvasRenderingContext2D} ctx - Target context (clip already applied)
+ * @param {Object} colorData - Color data
+ * @param {number} x1 - Segment start x
+ * @param {number} y1 - Segment start y
+ * @param {number} x2 - Segment end x
+ * @param {number} y2 - Segment end y
+ * @param {number} width - Stroke width
+ * @param {number} opacity - Stroke opacity
+ */
+export const drawStrokeFinish = (ctx, colorData, x1, y1, x2, y2, width, opacity) => {
+  if (!hasFinish(colorData)) return
+
+  const radius = width / 2
+  ctx.save()
+  ctx.globalCompositeOperation = 'source-over'
+
+  if (colorData.effect === EFFECTS.SHIMMER) {
+    // Soft light band along the middle of the stroke
+    ctx.globalAlpha = opacity * 0.45
+    ctx.strokeStyle = lightenColor(colorData.bgColor, 0.6)
+    ctx.filter = `blur(${Math.max(1, radius / 3)}px)`
+    ctx.lineWidth = width * 0.45
+    ctx.lineCap = 'round'
+    ctx.beginPath()
+    ctx.moveTo(x1, y1)
+    ctx.lineTo(x2, y2)
+    ctx.stroke()
+  } else {
+    const bounds = {
+      left: Math.min(x1, x2) - radius,
+      top: Math.min(y1, y2) - radius,
+      right: Math.max(x1, x2) + radius,
+      bottom: Math.max(y1, y2) + radius
+    }
+    drawSparkleParticles(ctx, bounds, (x, y) => distanceToSegment(x, y, x1, y1, x2, y2) <= radius * 0.9, colorData.bgColor, opacity)
+  }
+
+  ctx.restore()
+}
+
+/**
+ * Draw the finish pass for a filled area (e.g. a zone painted by a look)
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} colorData - Color data
+ * @param {Path2D} path - Area to finish, in canvas pixels
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} opacity - Fill opacity
+ */
+export const drawAreaFinish = (ctx, colorData, path, width, height, opacity) => {
+  if (!hasFinish(colorData)) return
+
+  ctx.save()
+  ctx.clip(path)
+  ctx.globalCompositeOperation = 'source-over'
+
+  if (colorData.effect === EFFECTS.SHIMMER) {
+    // Diagonal sheen across the area, brightest where light would catch the lid
+    const gradient = ctx.createLinearGradient(0, 0, width, height)
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 0)')
+    gradient.addColorStop(0.45, lightenColor(colorData.bgColor, 0.7))
+    gradient.addColorStop(0.9, 'rgba(255, 255, 255, 0)')
+    ctx.globalAlpha = opacity * 0.5
+    ctx.fillStyle = gradient
+    ctx.fillRect(0, 0, width, height)
+  } else {
+    drawSparkleParticles(ctx, { left: 0, top: 0, right: width, bottom: height }, (x, y) => ctx.isPointInPath(path, x, y), colorData.bgColor, opacity)
+  }
+
+  ctx.restore()
+}
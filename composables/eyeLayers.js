@@ -0,0 +1,200 @@
+import { LOG_OPERATIONS, getVisibleOperations } from './eyeStrokeLog.js'
+
+/**
+ * Paint layers for the eye canvas.
+ * Paint is kept on named layers instead of a single canvas: by default every palette color
+ * painted with the brush gets its own layer, and every zone of an applied look gets one too, so
+ * a color can be adjusted after the fact. Layers stack bottom first, each with visibility,
+ * opacity and a blend mode, and are composited over the skin so blend modes act on it the way
+ * makeup does on a lid. Layer state is derived from the drawing log (see getPaintLayers), so
+ * undo, redo and replay cover layer changes like any other step.
+ */
+
+export const BLEND_MODES = {
+  NORMAL: 'normal',
+  MULTIPLY: 'multiply',
+  SCREEN: 'screen',
+  SOFT_LIGHT: 'soft-light'
+}
+
+// compositeOperation is the canvas globalCompositeOperation the layer is drawn with
+export const BLEND_MODE_INFO = {
+  [BLEND_MODES.NORMAL]: {
+    name: 'Normal',
+    description: 'Paint covers what is under it',
+    compositeOperation: 'source-over'
+  },
+  [BLEND_MODES.MULTIPLY]: {
+    name: 'Multiply',
+    description: 'Darkens like a sheer wash, never lighter than what is under it',
+    compositeOperation: 'multiply'
+  },
+  [BLEND_MODES.SCREEN]: {
+    name: 'Screen',
+    description: 'Lightens, for highlights and glow',
+    compositeOperation: 'screen'
+  },
+  [BLEND_MODES.SOFT_LIGHT]: {
+    name: 'Soft Light',
+    description: 'A subtle tint that keeps the light and shade under it',
+    compositeOperation: 'soft-light'
+  }
+}
+
+/**
+ * ID of the layer a palette color paints into by default
+ * @param {Object} color - Color data
+ * @returns {string} Layer ID
+ */
+export const getColorLayerId = (color) => `color:${color.colorName || ''}:${color.bgColor}`
+
+/**
+ * ID of the layer a look paints a zone into
+ * @param {string} zone - Zone key (see useEyeDrawing.js EYE_ZONES)
+ * @returns {string} Layer ID
+ */
+export const getZoneLayerId = (zone) => `zone:${zone}`
+
+/**
+ * New paint layer with default settings
+ * @param {string} id - Layer ID
+ * @param {string} name - Name shown in the layer panel
+ * @param {string|null} swatch - Color shown next to the name, e.g. the color painted on it
+ * @returns {{ id: string, name: string, swatch: string|null, visible: boolean, opacity: number, blendMode: string }}
+ */
+export const createPaintLayer = (id, name, swatch = null) => ({
+  id,
+  name,
+  swatch,
+  visible: true,
+  opacity: 1,
+  blendMode: BLEND_MODES.NORMAL
+})
+
+/**
+ * Paint layers after one logged operation
+ * Painting into a layer that doesn't exist yet adds it on top. A look keeps a layer for each
+ * zone it colors, adding missing ones on top in zone order and showing the zone's new color on
+ * the ones it keeps, and drops the layers of zones it leaves bare.
+ * @param {Array} layers - Layers before the operation, bottom first
+ * @param {Object} operation - Logged operation (see eyeStrokeLog.js)
+ * @param {Array<{ zone: string, id: string, name: string }>} zoneLayers - Layers for look zones,
+ *   in the order they are painted
+ * @returns {Array} Layers after the operation, the same array when it leaves them unchanged
+ */
+export const applyPaintLayerOperation = (layers, operation, zoneLayers) => {
+  const hasLayer = (id) => layers.some(layer => layer.id === id)
+
+  switch (operation.type) {
+    case LOG_OPERATIONS.STROKE: {
+      const target = operation.layer
+      if (!target || hasLayer(target.id)) return layers
+      return [...layers, createPaintLayer(target.id, target.name, target.swatch)]
+    }
+    case LOG_OPERATIONS.LOOK: {
+      const getSwatch = (zoneLayer) => operation.assignments[zoneLayer.zone]?.bgColor
+      const kept = layers.flatMap(layer => {
+        const zoneLayer = zoneLayers.find(candidate => candidate.id === layer.id)
+        if (!zoneLayer) return [layer]
+        return getSwatch(zoneLayer) ? [{ ...layer, swatch: getSwatch(zoneLayer) }] : []
+      })
+      const added = zoneLayers
+        .filter(zoneLayer => getSwatch(zoneLayer) && !hasLayer(zoneLayer.id))
+        .map(zoneLayer => createPaintLayer(zoneLayer.id, zoneLayer.name, getSwatch(zoneLayer)))
+      return [...kept, ...added]
+    }
+    case LOG_OPERATIONS.PAINT_LAYER:
+      return layers.map(layer => layer.id === operation.layer ? { ...layer, ...operation.changes } : layer)
+    case LOG_OPERATIONS.LAYER_ORDER: {
+      const ordered = operation.order
+        .map(id => layers.find(layer => layer.id === id))
+        .filter(Boolean)
+      return [...ordered, ...layers.filter(layer => !operation.order.includes(layer.id))]
+    }
+    case LOG_OPERATIONS.MERGE_LAYERS:
+      if (!hasLayer(operation.target)) return layers
+      // The target's opacity is baked into its paint by the merge (see mergePaintLayerCanvas)
+      return layers
+        .filter(layer => layer.id !== operation.source)
+        .map(layer => layer.id === operation.target ? { ...layer, opacity: 1 } : layer)
+    case LOG_OPERATIONS.CLEAR:
+      return []
+    default:
+      return layers
+  }
+}
+
+/**
+ * Paint layers on the canvas after a drawing log
+ * @param {Array} log - Drawing log
+ * @param {Array} zoneLayers - Layers for look zones (see applyPaintLayerOperation)
+ * @returns {Array} Layers, bottom first
+ */
+export const getPaintLayers = (log, zoneLayers) => {
+  return getVisibleOperations(log).reduce((layers, operation) => applyPaintLayerOperation(layers, operation, zoneLayers), [])
+}
+
+/**
+ * Composite paint layers into a canvas, replacing what it holds
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Array} layers - Layers, bottom first
+ * @param {Map} layerCanvases - Layer ID -> canvas holding the layer's paint
+ * @param {Object} options - Composite options
+ * @param {string|null} options.backdrop - Color under the layers (the skin), or null for none
+ * @param {boolean} options.blendModes - False draws every layer normally, e.g. for a reflectance map
+ */
+export const compositePaintLayers = (canvas, layers, layerCanvases, { backdrop = null, blendModes = true } = {}) => {
+  const ctx = canvas.getContext('2d')
+  ctx.clearRect(0, 0, canvas.width, canvas.height)
+  if (backdrop) {
+    ctx.fillStyle = backdrop
+    ctx.fillRect(0, 0, canvas.width, canvas.height)
+  }
+
+  layers.forEach(layer => {
+    const layerCanvas = layerCanvases.get(layer.id)
+    if (!layer.visible || !layerCanvas) return
+
+    ctx.save()
+    ctx.globalAlpha = layer.opacity
+    if (blendModes) {
+      ctx.globalCompositeOperation = BLEND_MODE_INFO[layer.blendMode]?.compositeOperation || 'source-over'
+    }
+    ctx.drawImage(layerCanvas, 0, 0)
+    ctx.restore()
+  })
+}
+
+/**
+ * Whether a layer can be merged into the one under it without changing how the eye looks
+ * Normal paint stacks the same whether it is drawn layer by layer or flattened first, so two
+ * visible Normal layers merge exactly; other blend modes depend on everything under them.
+ * @param {Object} layer - Layer being merged
+ * @param {Object|undefined} below - Layer under it
+ * @returns {boolean} True when the merge keeps the current look
+ */
+export const canMergePaintLayers = (layer, below) => {
+  return Boolean(below) && layer.visible && below.visible &&
+    layer.blendMode === BLEND_MODES.NORMAL && below.blendMode === BLEND_MODES.NORMAL
+}
+
+/**
+ * Flatten a layer's paint into the layer under it, keeping the composite as it shows now
+ * The lower layer's opacity is baked into its paint first, so the merged layer ends up at full
+ * opacity (see applyPaintLayerOperation). Only valid for layers canMergePaintLayers accepts.
+ * @param {HTMLCanvasElement} target - Canvas of the layer merged into
+ * @param {HTMLCanvasElement} source - Canvas of the layer being merged
+ * @param {Object} targetLayer - Settings of the layer merged into
+ * @param {Object} sourceLayer - Settings of the layer being merged
+ */
+export const mergePaintLayerCanvas = (target, source, targetLayer, sourceLayer) => {
+  const ctx = target.getContext('2d')
+  ctx.save()
+  ctx.globalAlpha = targetLayer.opacity
+  ctx.globalCompositeOperation = 'destination-in'
+  ctx.fillRect(0, 0, target.width, target.height)
+  ctx.globalAlpha = sourceLayer.opacity
+  ctx.globalCompositeOperation = 'source-over'
+  ctx.drawImage(source, 0, 0)
+  ctx.restore()
+}
@@ -0,0 +1,171 @@
+import { useColorEffects } from './useColorEffects.js'
+import { parseHexColor } from './colorUtils.js'
+
+/**
+ * Lighting simulation for the eye preview.
+ * A lit scene is the composited eye and paint layers with the light's white balance applied
+ * per pixel, plus a specular highlight: a soft hot spot where the light catches the lid,
+ * scaled by how reflective the surface under each pixel is. Reflectance comes from a map of
+ * the look where every color is painted in a gray level for its finish (see
+ * getReflectanceColor), so shimmer and glitter catch far more light than matte shadow.
+ */
+
+const { EFFECTS } = useColorEffects()
+
+export const LIGHTING_ENVIRONMENTS = {
+  FLAT: 'flat',
+  DAYLIGHT: 'daylight',
+  FLUORESCENT: 'fluorescent',
+  TUNGSTEN: 'tungsten'
+}
+
+/**
+ * How each environment lights the scene
+ * - whiteBalance: per-channel gains relative to daylight
+ * - desaturate: share of color lost to the light's poor color rendering
+ * - highlight: hot spot position and radius as shares of an eye's area, its strength and the
+ *   light's color; positions are not mirrored, so one lamp lights both eyes from the same side
+ */
+export const LIGHTING_INFO = {
+  [LIGHTING_ENVIRONMENTS.FLAT]: {
+    name: 'No Lighting',
+    description: 'The plain preview, colors exactly as painted',
+    whiteBalance: [1, 1, 1],
+    desaturate: 0,
+    highlight: null
+  },
+  [LIGHTING_ENVIRONMENTS.DAYLIGHT]: {
+    name: 'Daylight',
+    description: 'Neutral window light from above',
+    whiteBalance: [1, 1, 1],
+    desaturate: 0,
+    highlight: { x: 0.5, y: 0.3, radius: 0.3, strength: 0.55, color: '#FFFFFF' }
+  },
+  [LIGHTING_ENVIRONMENTS.FLUORESCENT]: {
+    name: 'Office Fluorescent',
+    description: 'Flat, slightly green overhead tubes that mute warm shades',
+    whiteBalance: [0.95, 1.03, 1.01],
+    desaturate: 0.15,
+    highlight: { x: 0.5, y: 0.15, radius: 0.55, strength: 0.35, color: '#EFFFF4' }
+  },
+  [LIGHTING_ENVIRONMENTS.TUNGSTEN]: {
+    name: 'Warm Tungsten',
+    description: 'Warm lamp light from the side, with a small bright highlight',
+    whiteBalance: [1.1, 0.92, 0.68],
+    desaturate: 0,
+    highlight: { x: 0.3, y: 0.32, radius: 0.2, strength: 0.8, color: '#FFD59E' }
+  }
+}
+
+// Reflectance (0..1) painted into the reflectance map for each finish, and for bare skin.
+// Finish passes draw lightened tones of these grays, so glitter particles come out near white.
+const FINISH_REFLECTANCE = {
+  [EFFECTS.MATTE]: 0.06,
+  [EFFECTS.SHIMMER]: 0.55,
+  [EFFECTS.SPARKLY]: 0.35
+}
+const SKIN_REFLECTANCE = 0.1
+
+// Share of the highlight that reaches reflective surfaces outside the hot spot
+const AMBIENT_SHEEN = 0.2
+
+const toGrayHex = (amount) => {
+  const channel = Math.round(amount * 255).toString(16).padStart(2, '0')
+  return `#${channel}${channel}${channel}`
+}
+
+/**
+ * Gray color of the skin in the reflectance map
+ */
+export const SKIN_REFLECTANCE_COLOR = toGrayHex(SKIN_REFLECTANCE)
+
+/**
+ * Stand-in color data that paints a color's reflectance instead of its hue
+ * @param {Object} colorData - Color data with an effect
+ * @returns {Object} Color data with a gray bgColor and the same effect
+ */
+export const getReflectanceColor = (colorData) => {
+  if (!colorData) return colorData
+  const reflectance = FINISH_REFLECTANCE[colorData.effect] ?? FINISH_REFLECTANCE[EFFECTS.MATTE]
+  return { ...colorData, bgColor: toGrayHex(reflectance) }
+}
+
+/**
+ * Skin or background color as seen under an environment's white balance (no highlight)
+ * @param {string} hex - Color like #RRGGBB
+ * @param {string} environment - Lighting environment (see LIGHTING_ENVIRONMENTS)
+ * @returns {string} rgb() color
+ */
+export const getLitColor = (hex, environment) => {
+  const info = LIGHTING_INFO[environment] || LIGHTING_INFO[LIGHTING_ENVIRONMENTS.FLAT]
+  const [r, g, b] = parseHexColor(hex).map((channel, index) => channel * info.whiteBalance[index])
+  const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b
+  const channels = [r, g, b].map(channel => Math.round(Math.min(255, channel + (luma - channel) * info.desaturate)))
+  return `rgb(${channels.join(', ')})`
+}
+
+/**
+ * Hot spots of an environment's highlight on each eye
+ * @param {string} environment - Lighting environment (see LIGHTING_ENVIRONMENTS)
+ * @param {Array} cells - Eye cells (see eyeArtwork.js getEyeCells)
+ * @returns {Array<{ x: number, y: number, radius: number }>} Hot spots in canvas pixels
+ */
+export const getHighlightSpots = (environment, cells) => {
+  const highlight = LIGHTING_INFO[environment]?.highlight
+  if (!highlight) return []
+  return cells.map(cell => ({
+    x: cell.x + cell.width * highlight.x,
+    y: cell.y + cell.height * highlight.y,
+    radius: cell.width * highlight.radius
+  }))
+}
+
+/**
+ * Light a scene in place
+ * @param {ImageData} image - Composited scene, modified in place
+ * @param {ImageData} reflectance - Reflectance map of the same size (red channel is used)
+ * @param {string} environment - Lighting environment (see LIGHTING_ENVIRONMENTS)
+ * @param {Array} spots - Highlight hot spots (see getHighlightSpots)
+ */
+export const applyLighting = (image, reflectance, environment, spots) => {
+  const info = LIGHTING_INFO[environment] || LIGHTING_INFO[LIGHTING_ENVIRONMENTS.FLAT]
+  const [gainR, gainG, gainB] = info.whiteBalance
+  const { desaturate, highlight } = info
+  const lightColor = highlight ? parseHexColor(highlight.color) : [0, 0, 0]
+  const { data, width, height } = image
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = (y * width + x) * 4
+      let r = data[index] * gainR
+      let g = data[index + 1] * gainG
+      let b = data[index + 2] * gainB
+
+      if (desaturate) {
+        const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b
+        r += (luma - r) * desaturate
+        g += (luma - g) * desaturate
+        b += (luma - b) * desaturate
+      }
+
+      if (highlight) {
+        // Brightest hot spot over this pixel, with a gaussian falloff
+        let falloff = 0
+        spots.forEach(spot => {
+          const distanceSquared = (x - spot.x) ** 2 + (y - spot.y) ** 2
+          falloff = Math.max(falloff, Math.exp(-distanceSquared / (spot.radius * spot.radius)))
+        })
+        const specular = highlight.strength * (reflectance.data[index] / 255) *
+          (AMBIENT_SHEEN + (1 - AMBIENT_SHEEN) * falloff)
+        r += lightColor[0] * specular
+        g += lightColor[1] * specular
+        b += lightColor[2] * specular
+      }
+
+      // Uint8ClampedArray clamps to 0..255
+      data[index] = r
+      data[index + 1] = g
+      data[index + 2] = b
+    }
+  }
+}
@@ -0,0 +1,130 @@
+import { EYE_ZONES } from './useEyeDrawing.js'
+import { useColorEffects } from './useColorEffects.js'
+import { parseHexColor } from './colorUtils.js'
+
+/**
+ * Look templates: which kind of palette color each eye zone gets.
+ * Roles are resolved against the palette by lightness, except `shimmer`, which prefers a
+ * shimmer (then sparkly) color and falls back to a light tone for matte-only palettes.
+ */
+
+const { EFFECTS } = useColorEffects()
+
+export const LOOK_TEMPLATES = {
+  natural: {
+    name: 'Natural',
+    description: 'Soft, everyday definition',
+    zones: {
+      [EYE_ZONES.BROW_BONE]: 'lightest',
+      [EYE_ZONES.INNER_CORNER]: 'lightest',
+      [EYE_ZONES.MOBILE_LID]: 'shimmer',
+      [EYE_ZONES.CREASE]: 'mid',
+      [EYE_ZONES.OUTER_V]: 'deep',
+      [EYE_ZONES.LOWER_LASH]: 'mid'
+    }
+  },
+  smokey: {
+    name: 'Smokey',
+    description: 'Deep lid smoked out through the crease and lower lash line',
+    zones: {
+      [EYE_ZONES.BROW_BONE]: 'lightest',
+      [EYE_ZONES.INNER_CORNER]: 'shimmer',
+      [EYE_ZONES.MOBILE_LID]: 'deep',
+      [EYE_ZONES.CREASE]: 'mid',
+      [EYE_ZONES.OUTER_V]: 'deepest',
+      [EYE_ZONES.LOWER_LASH]: 'deepest'
+    }
+  },
+  cutCrease: {
+    name: 'Cut Crease',
+    description: 'Dark crease with a bright, sharply separated lid',
+    zones: {
+      [EYE_ZONES.BROW_BONE]: 'light',
+      [EYE_ZONES.INNER_CORNER]: 'lightest',
+      [EYE_ZONES.MOBILE_LID]: 'shimmer',
+      [EYE_ZONES.CREASE]: 'deepest',
+      [EYE_ZONES.OUTER_V]: 'deepest',
+      [EYE_ZONES.LOWER_LASH]: 'deep'
+    }
+  },
+  halo: {
+    name: 'Halo',
+    description: 'Shimmer lid framed by deeper inner and outer corners',
+    zones: {
+      [EYE_ZONES.BROW_BONE]: 'lightest',
+      [EYE_ZONES.INNER_CORNER]: 'deep',
+      [EYE_ZONES.MOBILE_LID]: 'shimmer',
+      [EYE_ZONES.CREASE]: 'mid',
+      [EYE_ZONES.OUTER_V]: 'deepest',
+      [EYE_ZONES.LOWER_LASH]: 'deep'
+    }
+  }
+}
+
+/**
+ * Relative luminance of a hex color (0 = black, 1 = white)
+ * @param {string} hex - Color like #RRGGBB or #RRGGBBAA
+ * @returns {number} Luminance
+ */
+export const getColorLuminance = (hex) => {
+  const [r, g, b] = parseHexColor(hex).map(value => {
+    const channel = value / 255
+    return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4)
+  })
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b
+}
+
+// Position of each lightness role in a palette sorted from lightest to deepest
+const ROLE_POSITIONS = {
+  lightest: 0,
+  light: 0.25,
+  mid: 0.5,
+  deep: 0.75,
+  deepest: 1
+}
+
+const pickByPosition = (sortedColors, position) => {
+  return sortedColors[Math.round(position * (sortedColors.length - 1))]
+}
+
+const pickShimmer = (sortedColors) => {
+  const shimmers = sortedColors.filter(color => color.effect === EFFECTS.SHIMMER)
+  const sparkles = sortedColors.filter(color => color.effect === EFFECTS.SPARKLY)
+  const candidates = shimmers.length > 0 ? shimmers : sparkles
+  if (candidates.length === 0) {
+    return pickByPosition(sortedColors, ROLE_POSITIONS.light)
+  }
+  // Middle of the finish-matching colors, so the lid is neither the palette's brightest nor darkest
+  return pickByPosition(candidates, 0.5)
+}
+
+/**
+ * Assign palette colors to eye zones following a look template
+ * @param {Array} colors - Palette color data ({ bgColor, colorName, effect, ... })
+ * @param {string} templateId - Key of LOOK_TEMPLATES
+ * @returns {Object} Zone key -> color data (null when the palette is empty)
+ */
+export const assignLookColors = (colors, templateId) => {
+  const template = LOOK_TEMPLATES[templateId]
+  if (!template) {
+    throw new Error(`Unknown look template: ${templateId}`)
+  }
+
+  const sortedColors = colors
+    .filter(Boolean)
+    .map(color => ({ color, luminance: getColorLuminance(color.bgColor) }))
+    .sort((a, b) => b.luminance - a.luminance)
+    .map(({ color }) => color)
+
+  const assignments = {}
+  Object.entries(template.zones).forEach(([zone, role]) => {
+    if (sortedColors.length === 0) {
+      assignments[zone] = null
+    } else if (role === 'shimmer') {
+      assignments[zone] = pickShimmer(sortedColors)
+    } else {
+      assignments[zone] = pickByPosition(sortedColors, ROLE_POSITIONS[role])
+    }
+  })
+  return assignments
+}
@@ -0,0 +1,218 @@
+/**
+ * Drawing log for the eye canvas.
+ * Every change to the paint layer is recorded as data instead of a bitmap, so undo/redo can
+ * re-render it losslessly and the look can be replayed as it was painted:
+ * - stroke: { type, brush, clipZone, eyes, layer, points: [{ x, y, pressure, time }] }
+ *   (brush is the engine settings of eyeBrush.js; eyes are the indexes of the eyes the stroke
+ *   is drawn on, see getEyeCells; layer is the { id, name, swatch } of the paint layer it goes on, or
+ *   null for an eraser or blend stroke on every layer; time is ms since the stroke started)
+ * - look: { type, assignments } (zone key -> color data, see paintZoneColors; each zone is
+ *   painted on its own layer)
+ * - liner: { type, liner, eyes, points: [{ x, y, pressure }] } (liner is { color, width, taper,
+ *   preset }; a preset line has no points, it follows the lash line of the artwork it is drawn on)
+ * - lashes: { type, style, density } (style null removes the lashes)
+ * - brow: { type, style, color } (style null removes the brow fill)
+ * - paintLayer: { type, layer, changes } (layer ID -> new { visible, opacity, blendMode })
+ * - layerOrder: { type, order } (paint layer IDs, bottom first)
+ * - mergeLayers: { type, source, target } (source layer is merged into the target and removed)
+ * - clear: { type }
+ * Stroke points and brush size are in eye coordinates (see eyeArtwork.js canvasToEye), so the
+ * log survives responsive canvas resizes and can be drawn on one eye or mirrored on both.
+ * Liner, lashes and brow fill are drawn on their own detail layers (see eyeDetails.js); lashes
+ * and brow fill are settings, so only the latest one of each shows. Paint layers are described in
+ * eyeLayers.js.
+ */
+
+export const LOG_OPERATIONS = {
+  STROKE: 'stroke',
+  LOOK: 'look',
+  LINER: 'liner',
+  LASHES: 'lashes',
+  BROW: 'brow',
+  PAINT_LAYER: 'paintLayer',
+  LAYER_ORDER: 'layerOrder',
+  MERGE_LAYERS: 'mergeLayers',
+  CLEAR: 'clear'
+}
+
+// Replay pacing: pause between strokes, and how long a look or clear stays on screen
+const REPLAY_STROKE_GAP = 250
+const REPLAY_STEP_PAUSE = 600
+
+// Longest pause inside a stroke that replay keeps, so hesitations don't stall the video
+const REPLAY_MAX_POINT_GAP = 200
+
+/**
+ * Start recording a stroke
+ * @param {Object} brush - Brush engine settings, with the size in eye units
+ * @param {string|null} clipZone - Zone the stroke is clipped to, or null
+ * @param {Array<number>} eyes - Eyes the stroke is drawn on
+ * @param {Object|null} layer - { id, name, swatch } of the paint layer, or null for every layer
+ * @returns {Object} Stroke operation with no points yet
+ */
+export const createStrokeOperation = (brush, clipZone, eyes, layer) => ({
+  type: LOG_OPERATIONS.STROKE,
+  brush: { ...brush },
+  clipZone,
+  eyes: [...eyes],
+  layer: layer ? { ...layer } : null,
+  points: []
+})
+
+/**
+ * Record a look application
+ * @param {Object} assignments - Zone key -> color data
+ * @returns {Object} Look operation
+ */
+export const createLookOperation = (assignments) => ({
+  type: LOG_OPERATIONS.LOOK,
+  assignments: { ...assignments }
+})
+
+/**
+ * Start recording an eyeliner line
+ * @param {Object} liner - { color, width (eye units), taper, preset }
+ * @param {Array<number>} eyes - Eyes the line is drawn on
+ * @returns {Object} Liner operation with no points yet
+ */
+export const createLinerOperation = (liner, eyes) => ({
+  type: LOG_OPERATIONS.LINER,
+  liner: { ...liner },
+  eyes: [...eyes],
+  points: []
+})
+
+/**
+ * Record a change of the lash overlay
+ * @param {string|null} style - Lash style (see eyeDetails.js LASH_STYLES), or null for none
+ * @param {number} density - Share of the fullest lash line, 0..1
+ * @returns {Object} Lashes operation
+ */
+export const createLashesOperation = (style, density) => ({
+  type: LOG_OPERATIONS.LASHES,
+  style,
+  density
+})
+
+/**
+ * Record a change of the brow fill
+ * @param {string|null} style - Brow fill style (see eyeDetails.js BROW_FILL_STYLES), or null for none
+ * @param {string} color - Fill color
+ * @returns {Object} Brow operation
+ */
+export const createBrowOperation = (style, color) => ({
+  type: LOG_OPERATIONS.BROW,
+  style,
+  color
+})
+
+/**
+ * Record a change of a paint layer's settings
+ * @param {string} layer - Layer ID
+ * @param {Object} changes - Any of { visible, opacity, blendMode }
+ * @returns {Object} Paint layer operation
+ */
+export const createPaintLayerOperation = (layer, changes) => ({
+  type: LOG_OPERATIONS.PAINT_LAYER,
+  layer,
+  changes: { ...changes }
+})
+
+/**
+ * Record a new stacking order of the paint layers
+ * @param {Array<string>} order - Layer IDs, bottom first
+ * @returns {Object} Layer order operation
+ */
+export const createLayerOrderOperation = (order) => ({
+  type: LOG_OPERATIONS.LAYER_ORDER,
+  order: [...order]
+})
+
+/**
+ * Record merging one paint layer into another
+ * @param {string} source - ID of the layer merged and removed
+ * @param {string} target - ID of the layer it is merged into
+ * @returns {Object} Merge operation
+ */
+export const createMergeLayersOperation = (source, target) => ({
+  type: LOG_OPERATIONS.MERGE_LAYERS,
+  source,
+  target
+})
+
+/**
+ * Record a clear of the paint and detail layers
+ * @returns {Object} Clear operation
+ */
+export const createClearOperation = () => ({ type: LOG_OPERATIONS.CLEAR })
+
+/**
+ * Operations still visible on the canvas: everything after the last clear
+ * @param {Array} log - Drawing log
+ * @returns {Array} Operations
+ */
+export const getVisibleOperations = (log) => {
+  for (let index = log.length - 1; index >= 0; index--) {
+    if (log[index].type === LOG_OPERATIONS.CLEAR) {
+      return log.slice(index + 1)
+    }
+  }
+  return log
+}
+
+/**
+ * Latest operation of a type still visible on the canvas, e.g. the lash setting in use
+ * @param {Array} log - Drawing log
+ * @param {string} type - Operation type (see LOG_OPERATIONS)
+ * @returns {Object|null} Operation, or null when there is none
+ */
+export const getCurrentOperation = (log, type) => {
+  const visible = getVisibleOperations(log)
+  for (let index = visible.length - 1; index >= 0; index--) {
+    if (visible[index].type === type) {
+      return visible[index]
+    }
+  }
+  return null
+}
+
+/**
+ * Zone colors of the look currently on the canvas
+ * @param {Array} log - Drawing log
+ * @returns {Object} Zone key -> color data, empty when no look is applied
+ */
+export const getCurrentLookAssignments = (log) => {
+  return getCurrentOperation(log, LOG_OPERATIONS.LOOK)?.assignments || {}
+}
+
+/**
+ * Schedule a log for animated replay
+ * Each step is one stroke point (pointIndex) or one whole look/clear operation.
+ * @param {Array} log - Drawing log
+ * @returns {{ steps: Array<{ at: number, operation: Object, pointIndex: number }>, duration: number }}
+ *   Steps in order, with `at` in ms from the start of the replay
+ */
+export const buildReplayTimeline = (log) => {
+  const steps = []
+  let cursor = 0
+
+  log.forEach(operation => {
+    if (operation.type !== LOG_OPERATIONS.STROKE) {
+      steps.push({ at: cursor, operation, pointIndex: -1 })
+      cursor += REPLAY_STEP_PAUSE
+      return
+    }
+
+    let strokeTime = 0
+    operation.points.forEach((point, pointIndex) => {
+      if (pointIndex > 0) {
+        const gap = point.time - operation.points[pointIndex - 1].time
+        strokeTime += Math.min(Math.max(0, gap), REPLAY_MAX_POINT_GAP)
+      }
+      steps.push({ at: cursor + strokeTime, operation, pointIndex })
+    })
+    cursor += strokeTime + REPLAY_STROKE_GAP
+  })
+
+  return { steps, duration: cursor }
+}
@@ -0,0 +1,371 @@
+import { logError } from './errorHandler.js'
+
+/**
+ * IndexedDB persistence for saved palettes, palette collections and eye looks
+ * The schema is defined by an ordered list of migration steps; the database version is
+ * the version of the last step, and opening an older database runs every newer step in order.
+ * When IndexedDB is unavailable (e.g. some private browsing modes) reads and writes fall
+ * back to localStorage arrays.
+ */
+
+const DB_NAME = 'eyeshadow-palette-maker'
+const PALETTE_STORE = 'palettes'
+const COLLECTION_STORE = 'collections'
+const EYE_LOOK_STORE = 'eyeLooks'
+const LEGACY_STORAGE_KEY = 'eyeshadow-saved-palettes'
+
+/**
+ * Give IDs to palettes from older versions, which were saved without them
+ * @param {Object} palette - Stored palette
+ * @returns {Object} Palette with an ID
+ */
+const ensurePaletteId = (palette) => {
+  return palette.id ? palette : {
+    ...palette,
+    id: `migrated-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+  }
+}
+
+/**
+ * Ordered schema migrations. Each step runs inside the upgrade transaction
+ * when the stored database version is below the step's version.
+ * Append new steps to the end; never edit or reorder released ones.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create palette store',
+    migrate: (db) => {
+      const store = db.createObjectStore(PALETTE_STORE, { keyPath: 'id' })
+      store.createIndex('createdAt', 'createdAt')
+    }
+  },
+  {
+    version: 2,
+    description: 'Move saved palettes out of localStorage',
+    migrate: (db, transaction) => {
+      const stored = localStorage.getItem(LEGACY_STORAGE_KEY)
+      if (!stored) return
+
+      let legacyPalettes
+      try {
+        legacyPalettes = JSON.parse(stored)
+      } catch (error) {
+        // Leave unreadable data in place rather than destroying it
+        logError('paletteDatabase migration 2', error)
+        return
+      }
+      if (!Array.isArray(legacyPalettes)) return
+
+      const store = transaction.objectStore(PALETTE_STORE)
+      legacyPalettes.forEach(palette => store.put(ensurePaletteId(palette)))
+
+      // Only free the localStorage quota once the palettes are safely committed
+      transaction.addEventListener('complete', () => {
+        localStorage.removeItem(LEGACY_STORAGE_KEY)
+      })
+    }
+  },
+  {
+    version: 3,
+    description: 'Create collection store',
+    migrate: (db) => {
+      db.createObjectStore(COLLECTION_STORE, { keyPath: 'id' })
+    }
+  },
+  {
+    version: 4,
+    description: 'Create eye look store',
+    migrate: (db) => {
+      const store = db.createObjectStore(EYE_LOOK_STORE, { keyPath: 'id' })
+      store.createIndex('paletteId', 'paletteId')
+    }
+  }
+]
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version
+
+let databasePromise = null
+let fallbackWarningShown = false
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+const promisifyRequest = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Transaction to wait for
+ * @returns {Promise<void>}
+ */
+const transactionDone = (transaction) => {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+  })
+}
+
+/**
+ * Convert a (possibly reactive) palette into a plain, cloneable record
+ * @param {Object} palette - Palette to store
+ * @returns {Object} Plain palette record
+ */
+const toRecord = (palette) => JSON.parse(JSON.stringify(palette))
+
+/**
+ * Sort palettes oldest first so the library keeps a stable order
+ * @param {Array} palettes - Palettes to sort
+ * @returns {Array} Sorted palettes
+ */
+const sortPalettes = (palettes) => {
+  return palettes.sort((a, b) => {
+    const byDate = String(a.createdAt || '').localeCompare(String(b.createdAt || ''))
+    return byDate !== 0 ? byDate : String(a.id).localeCompare(String(b.id))
+  })
+}
+
+/**
+ * Open (and migrate if needed) the palette database
+ * @returns {Promise<IDBDatabase>} Open database connection
+ */
+export const openPaletteDatabase = () => {
+  if (databasePromise) return databasePromise
+
+  databasePromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB not supported'))
+      return
+    }
+
+    const request = indexedDB.open(DB_NAME, SCHEMA_VERSION)
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result
+      const transaction = request.transaction
+      MIGRATIONS
+        .filter(step => step.version > event.oldVersion)
+        .forEach(step => {
+          try {
+            step.migrate(db, transaction)
+          } catch (error) {
+            console.error(`Palette database migration ${step.version} failed (${step.description}):`, error)
+            throw error
+          }
+        })
+    }
+
+    request.onsuccess = () => {
+      const db = request.result
+      // Another tab upgraded the schema - close so it isn't blocked, and reopen lazily
+      db.onversionchange = () => {
+        db.close()
+        databasePromise = null
+      }
+      resolve(db)
+    }
+
+    request.onerror = () => reject(request.error)
+    request.onblocked = () => {
+      console.warn('Palette database upgrade is blocked by another open tab')
+    }
+  }).catch(error => {
+    databasePromise = null
+    throw error
+  })
+
+  return databasePromise
+}
+
+/**
+ * Get the database, or null when falling back to localStorage
+ * @returns {Promise<IDBDatabase|null>}
+ */
+const getDatabase = async () => {
+  try {
+    return await openPaletteDatabase()
+  } catch (error) {
+    if (!fallbackWarningShown) {
+      fallbackWarningShown = true
+      logError('paletteDatabase.open', error, { fallback: 'localStorage' })
+    }
+    return null
+  }
+}
+
+// localStorage keys used when IndexedDB is unavailable
+const FALLBACK_STORAGE_KEYS = {
+  [PALETTE_STORE]: LEGACY_STORAGE_KEY,
+  [COLLECTION_STORE]: 'eyeshadow-palette-collections',
+  [EYE_LOOK_STORE]: 'eyeshadow-eye-looks'
+}
+
+const readFallbackRecords = (storeName) => {
+  const stored = localStorage.getItem(FALLBACK_STORAGE_KEYS[storeName])
+  const records = stored ? JSON.parse(stored) : []
+  if (records.some(record => !record.id)) {
+    const migrated = records.map(ensurePaletteId)
+    writeFallbackRecords(storeName, migrated)
+    return migrated
+  }
+  return records
+}
+
+const writeFallbackRecords = (storeName, records) => {
+  localStorage.setItem(FALLBACK_STORAGE_KEYS[storeName], JSON.stringify(records))
+}
+
+/**
+ * Read every record in a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>} Records
+ */
+const getAllRecords = async (storeName) => {
+  const db = await getDatabase()
+  if (!db) return readFallbackRecords(storeName)
+
+  const transaction = db.transaction(storeName, 'readonly')
+  return promisifyRequest(transaction.objectStore(storeName).getAll())
+}
+
+/**
+ * Insert or update records in a single transaction
+ * @param {string} storeName - Object store name
+ * @param {Array} records - Records to write
+ * @returns {Promise<void>}
+ */
+const putRecords = async (storeName, records) => {
+  const plainRecords = records.map(toRecord)
+  const db = await getDatabase()
+
+  if (!db) {
+    const stored = readFallbackRecords(storeName)
+    plainRecords.forEach(record => {
+      const index = stored.findIndex(r => r.id === record.id)
+      if (index !== -1) {
+        stored[index] = record
+      } else {
+        stored.push(record)
+      }
+    })
+    writeFallbackRecords(storeName, stored)
+    return
+  }
+
+  const transaction = db.transaction(storeName, 'readwrite')
+  const store = transaction.objectStore(storeName)
+  plainRecords.forEach(record => store.put(record))
+  await transactionDone(transaction)
+}
+
+/**
+ * Delete records by ID in a single transaction
+ * @param {string} storeName - Object store name
+ * @param {Array<string>} ids - IDs to delete
+ * @returns {Promise<void>}
+ */
+const deleteRecords = async (storeName, ids) => {
+  const db = await getDatabase()
+
+  if (!db) {
+    writeFallbackRecords(storeName, readFallbackRecords(storeName).filter(r => !ids.includes(r.id)))
+    return
+  }
+
+  const transaction = db.transaction(storeName, 'readwrite')
+  const store = transaction.objectStore(storeName)
+  ids.forEach(id => store.delete(id))
+  await transactionDone(transaction)
+}
+
+/**
+ * Read every saved palette
+ * @returns {Promise<Array>} Saved palettes, oldest first
+ */
+export const getAllPalettes = async () => sortPalettes(await getAllRecords(PALETTE_STORE))
+
+/**
+ * Insert or update palettes in a single transaction
+ * @param {Array} palettes - Palettes to write
+ * @returns {Promise<void>}
+ */
+export const putPalettes = (palettes) => putRecords(PALETTE_STORE, palettes)
+
+/**
+ * Delete palettes by ID in a single transaction
+ * @param {Array<string>} paletteIds - IDs to delete
+ * @returns {Promise<void>}
+ */
+export const deletePalettes = (paletteIds) => deleteRecords(PALETTE_STORE, paletteIds)
+
+/**
+ * Read every palette collection
+ * @returns {Promise<Array>} Collections
+ */
+export const getAllCollections = () => getAllRecords(COLLECTION_STORE)
+
+/**
+ * Insert or update palette collections
+ * @param {Array} collections - Collections to write
+ * @returns {Promise<void>}
+ */
+export const putCollections = (collections) => putRecords(COLLECTION_STORE, collections)
+
+/**
+ * Delete palette collections by ID
+ * @param {Array<string>} collectionIds - IDs to delete
+ * @returns {Promise<void>}
+ */
+export const deleteCollections = (collectionIds) => deleteRecords(COLLECTION_STORE, collectionIds)
+
+/**
+ * Read every saved eye look
+ * @returns {Promise<Array>} Eye looks
+ */
+export const getAllEyeLooks = () => getAllRecords(EYE_LOOK_STORE)
+
+/**
+ * Insert or update eye looks
+ * @param {Array} looks - Eye looks to write
+ * @returns {Promise<void>}
+ */
+export const putEyeLooks = (looks) => putRecords(EYE_LOOK_STORE, looks)
+
+/**
+ * Delete eye looks by ID
+ * @param {Array<string>} lookIds - IDs to delete
+ * @returns {Promise<void>}
+ */
+export const deleteEyeLooks = (lookIds) => deleteRecords(EYE_LOOK_STORE, lookIds)
+
+/**
+ * Delete every eye look painted with the given palettes
+ * @param {Array<string>} paletteIds - Palettes whose looks to delete
+ * @returns {Promise<Array<string>>} IDs of the deleted looks
+ */
+export const deleteEyeLooksForPalettes = async (paletteIds) => {
+  const db = await getDatabase()
+
+  if (!db) {
+    const stored = readFallbackRecords(EYE_LOOK_STORE)
+    const deleted = stored.filter(look => paletteIds.includes(look.paletteId))
+    writeFallbackRecords(EYE_LOOK_STORE, stored.filter(look => !paletteIds.includes(look.paletteId)))
+    return deleted.map(look => look.id)
+  }
+
+  const transaction = db.transaction(EYE_LOOK_STORE, 'readwrite')
+  const index = transaction.objectStore(EYE_LOOK_STORE).index('paletteId')
+  const keyLists = await Promise.all(paletteIds.map(paletteId => promisifyRequest(index.getAllKeys(paletteId))))
+  const lookIds = keyLists.flat()
+  const store = transaction.objectStore(EYE_LOOK_STORE)
+  lookIds.forEach(id => store.delete(id))
+  await transactionDone(transaction)
+  return lookIds
+}
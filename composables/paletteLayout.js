@@ -0,0 +1,125 @@
+/**
+ * Palette layouts: a grid of `rows × cols` cells, some of which may be disabled to make
+ * odd shapes. Cells are indexed row by row (index = row * cols + col).
+ * Palettes saved before layouts existed only have a square `gridSize`; they are read as
+ * `gridSize × gridSize` with no disabled cells, so their cell indices keep their meaning.
+ */
+
+export const MIN_GRID_DIMENSION = 1
+export const MAX_GRID_DIMENSION = 6
+
+// Shapes offered in the grid controls
+export const LAYOUT_PRESETS = [
+  { rows: 2, cols: 2 },
+  { rows: 3, cols: 3 },
+  { rows: 4, cols: 4 },
+  { rows: 1, cols: 4 },
+  { rows: 2, cols: 6 },
+  { rows: 3, cols: 5 },
+  { rows: 5, cols: 4 }
+]
+
+const isValidDimension = (value) => {
+  return Number.isInteger(value) && value >= MIN_GRID_DIMENSION && value <= MAX_GRID_DIMENSION
+}
+
+/**
+ * Read the layout of a palette, palette history entry or layout object
+ * @param {Object} source - Anything with rows/cols (and optionally disabledCells) or a legacy gridSize
+ * @returns {{ rows: number, cols: number, disabledCells: Array<number> }} Layout
+ */
+export const getPaletteLayout = (source) => {
+  const rows = source?.rows ?? source?.gridSize ?? 2
+  const cols = source?.cols ?? source?.gridSize ?? 2
+  const total = rows * cols
+  const disabledCells = Array.isArray(source?.disabledCells)
+    ? [...new Set(source.disabledCells)].filter(index => Number.isInteger(index) && index >= 0 && index < total).sort((a, b) => a - b)
+    : []
+  return { rows, cols, disabledCells }
+}
+
+/**
+ * Validate a layout from untrusted input (imports, links)
+ * @param {Object} source - Palette or layout object
+ * @returns {{ rows: number, cols: number, disabledCells: Array<number> }} Normalized layout
+ * @throws {Error} When the dimensions are out of range
+ */
+export const validateLayout = (source) => {
+  const layout = getPaletteLayout(source)
+  if (!isValidDimension(layout.rows) || !isValidDimension(layout.cols)) {
+    throw new Error(`Invalid grid layout: ${layout.rows}×${layout.cols}`)
+  }
+  if (layout.disabledCells.length >= getCellCount(layout)) {
+    throw new Error('Grid layout has no usable cells')
+  }
+  return layout
+}
+
+/**
+ * Total number of cells, including disabled ones
+ * @param {Object} layout - Layout
+ * @returns {number} rows × cols
+ */
+export const getCellCount = (layout) => layout.rows * layout.cols
+
+/**
+ * Number of cells that can hold a color
+ * @param {Object} layout - Layout
+ * @returns {number} Enabled cell count
+ */
+export const getEnabledCellCount = (layout) => {
+  return getCellCount(layout) - (layout.disabledCells?.length || 0)
+}
+
+/**
+ * Whether two layouts have the same shape
+ * @param {Object} a - Layout
+ * @param {Object} b - Layout
+ * @returns {boolean}
+ */
+export const isSameLayout = (a, b) => {
+  const disabledA = a.disabledCells || []
+  const disabledB = b.disabledCells || []
+  return a.rows === b.rows && a.cols === b.cols &&
+    disabledA.length === disabledB.length &&
+    disabledA.every(index => disabledB.includes(index))
+}
+
+/**
+ * Short label for a layout, e.g. "3×5"
+ * @param {Object} layout - Layout
+ * @returns {string}
+ */
+export const describeLayout = (layout) => `${layout.rows}×${layout.cols}`
+
+/**
+ * Write a layout onto a palette or history entry, replacing any legacy gridSize
+ * @param {Object} target - Palette or history entry (mutated in place)
+ * @param {Object} layout - Layout to store
+ * @returns {Object} The same target
+ */
+export const assignLayout = (target, layout) => {
+  const { rows, cols, disabledCells } = getPaletteLayout(layout)
+  delete target.gridSize
+  target.rows = rows
+  target.cols = cols
+  target.disabledCells = disabledCells
+  return target
+}
+
+/**
+ * Expand a palette's cell list into one entry per grid cell
+ * @param {Object} palette - Palette with colors [{ index, colorData }]
+ * @returns {Array} Color data (or null) for every cell, in index order
+ */
+export const buildGridArray = (palette) => {
+  const layout = getPaletteLayout(palette)
+  const grid = new Array(getCellCount(layout)).fill(null)
+  const colors = palette?.colors || []
+  colors.forEach(({ index, colorData }) => {
+    if (index < grid.length && !layout.disabledCells.includes(index)) {
+      grid[index] = colorData
+    }
+  })
+  return grid
+}
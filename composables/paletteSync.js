@@ -0,0 +1,90 @@
+/**
+ * Cross-tab synchronization for saved palettes
+ * Tabs announce their writes over a BroadcastChannel (or, where that is unavailable,
+ * through `storage` events on a scratch localStorage key). Every palette write carries a
+ * revision counter, timestamp and the writing tab's ID so concurrent edits can be
+ * detected and every tab resolves them to the same winner.
+ */
+
+const CHANNEL_NAME = 'eyeshadow-palette-sync'
+const SYNC_STORAGE_KEY = 'eyeshadow-palette-sync-message'
+
+// Unique per tab (module state lives as long as the page)
+export const TAB_ID = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+
+/**
+ * Record a local edit on a palette: bump its revision and stamp time and author
+ * @param {Object} palette - Palette being written (mutated in place)
+ * @param {number} [baseRevision] - Revision the edit is based on (defaults to the palette's own)
+ * @returns {Object} The same palette
+ */
+export const touchPalette = (palette, baseRevision = palette.revision || 0) => {
+  palette.revision = baseRevision + 1
+  palette.updatedAt = new Date().toISOString()
+  palette.updatedBy = TAB_ID
+  return palette
+}
+
+/**
+ * Deterministic ordering of two versions of the same palette:
+ * higher revision wins, then the later update, then the greater tab ID
+ * @param {Object} a - Palette version
+ * @param {Object} b - Palette version
+ * @returns {number} Positive when a wins, negative when b wins, 0 when identical
+ */
+export const comparePaletteVersions = (a, b) => {
+  return ((a.revision || 0) - (b.revision || 0)) ||
+    String(a.updatedAt || '').localeCompare(String(b.updatedAt || '')) ||
+    String(a.updatedBy || '').localeCompare(String(b.updatedBy || ''))
+}
+
+/**
+ * Whether two versions were written concurrently from the same base revision by different tabs
+ * @param {Object} a - Palette version
+ * @param {Object} b - Palette version
+ * @returns {boolean} True when the edits conflict
+ */
+export const isConflictingEdit = (a, b) => {
+  return (a.revision || 0) === (b.revision || 0) &&
+    (a.updatedBy !== b.updatedBy || a.updatedAt !== b.updatedAt)
+}
+
+/**
+ * Open the sync channel
+ * @param {Function} onMessage - Called with each message from another tab
+ * @returns {{ post: Function, close: Function }} Channel handle
+ */
+export const createPaletteSyncChannel = (onMessage) => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL_NAME)
+    channel.onmessage = (event) => onMessage(event.data)
+
+    return {
+      post: (message) => channel.postMessage({ ...message, sender: TAB_ID }),
+      close: () => channel.close()
+    }
+  }
+
+  // Fallback: `storage` events fire in every other tab when the key changes
+  const handleStorage = (event) => {
+    if (event.key !== SYNC_STORAGE_KEY || !event.newValue) return
+    try {
+      onMessage(JSON.parse(event.newValue))
+    } catch (error) {
+      console.warn('Ignoring malformed palette sync message:', error)
+    }
+  }
+  window.addEventListener('storage', handleStorage)
+
+  return {
+    post: (message) => {
+      try {
+        // sentAt makes repeated identical messages still register as a change
+        localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify({ ...message, sender: TAB_ID, sentAt: Date.now() }))
+      } catch (error) {
+        console.warn('Failed to broadcast palette change:', error)
+      }
+    },
+    close: () => window.removeEventListener('storage', handleStorage)
+  }
+}
@@ -0,0 +1,296 @@
+import { ref, computed } from 'vue'
+import { FIT_VIEW } from './eyeArtwork.js'
+
+/**
+ * Composable for zooming and panning a layered canvas
+ * Two-finger pinch zooms and pans, the mouse wheel zooms around the cursor, and dragging with
+ * the middle mouse button pans. While a gesture runs, the layers are moved with a CSS transform
+ * for instant feedback; once it settles the view is committed and the layers are re-rendered
+ * at the new zoom. Views are { zoom, x, y } as in eyeArtwork.js FIT_VIEW.
+ * @param {Object} options - Zoom callbacks
+ * @param {Function} options.getViewport - Returns the element the layers fill (not transformed)
+ * @param {Function} options.canStart - Returns whether a gesture may start
+ * @param {Function} options.onGestureStart - Called when a pinch or pan takes over the pointer
+ * @param {Function} options.onCommit - Called with the new view; returns (a promise of) false when
+ *   the view can't be applied right now, otherwise settles once the layers show it
+ * @returns {Object} Zoom state, pointer handlers and view methods
+ */
+export function useCanvasZoom({ getViewport, canStart = () => true, onGestureStart = () => {}, onCommit }) {
+  const MIN_ZOOM = FIT_VIEW.zoom
+  const MAX_ZOOM = 5
+  const BUTTON_ZOOM_STEP = 1.5
+  const WHEEL_ZOOM_SPEED = 0.0015
+  const WHEEL_LINE_HEIGHT = 16 // Pixels per wheel "line" for devices that scroll by lines
+  const WHEEL_SETTLE_DELAY = 150 // Commit once the wheel has been still this long
+
+  const targetView = ref({ ...FIT_VIEW }) // View being moved to; equals the committed view between gestures
+  const shownView = ref({ ...FIT_VIEW }) // View the layers are rendered at
+  const isGesturing = ref(false)
+
+  const isZoomed = computed(() => targetView.value.zoom > MIN_ZOOM)
+
+  const sameView = (a, b) => a.zoom === b.zoom && a.x === b.x && a.y === b.y
+
+  // CSS transform that moves the rendered layers from the shown view to the target view
+  const previewTransform = computed(() => {
+    const from = shownView.value
+    const to = targetView.value
+    if (sameView(from, to)) return ''
+
+    const scale = to.zoom / from.zoom
+    const offsetX = (to.x - from.x * scale) * 100
+    const offsetY = (to.y - from.y * scale) * 100
+    return `translate(${offsetX}%, ${offsetY}%) scale(${scale})`
+  })
+
+  // Touch pointers on the canvas, for pinching
+  const touches = new Map()
+  let gesture = null // { type: 'pinch' | 'pan', pointerIds, startView, startPoints }
+  let wheelTimer = null
+  let commitPromise = null
+
+  /**
+   * Keep the zoom in range and the zoomed content covering the whole canvas
+   */
+  const clampView = (view) => {
+    const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.zoom))
+    const clampOffset = (offset) => Math.min(0, Math.max(1 - zoom, offset))
+    return { zoom, x: clampOffset(view.x), y: clampOffset(view.y) }
+  }
+
+  /**
+   * View zoomed by a factor so the content under a point stays under it
+   * @param {Object} view - Starting view
+   * @param {number} factor - Zoom multiplier
+   * @param {{ x: number, y: number }} point - Point as shares of the canvas size
+   */
+  const zoomViewAt = (view, factor, point) => {
+    const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.zoom * factor))
+    const contentX = (point.x - view.x) / view.zoom
+    const contentY = (point.y - view.y) / view.zoom
+    return clampView({ zoom, x: point.x - contentX * zoom, y: point.y - contentY * zoom })
+  }
+
+  /**
+   * Convert a client position to shares of the viewport size
+   */
+  const toViewportPoint = (clientX, clientY) => {
+    const rect = getViewport().getBoundingClientRect()
+    return {
+      x: (clientX - rect.left) / rect.width,
+      y: (clientY - rect.top) / rect.height
+    }
+  }
+
+  const runCommits = async () => {
+    try {
+      while (!isGesturing.value && !sameView(shownView.value, targetView.value)) {
+        const view = targetView.value
+        if (await onCommit(view) === false) {
+          targetView.value = shownView.value
+          break
+        }
+        shownView.value = view
+      }
+    } catch (error) {
+      console.error('Error applying canvas zoom:', error)
+    }
+  }
+
+  /**
+   * Render the target view, then keep rendering until the layers catch up with it
+   * @returns {Promise<void>} Settles once the layers show the target view
+   */
+  const commitView = () => {
+    if (!commitPromise) {
+      commitPromise = runCommits().finally(() => {
+        commitPromise = null
+      })
+    }
+    return commitPromise
+  }
+
+  /**
+   * Move to a view and render it
+   * @param {Object} view - View to show (clamped to the allowed range)
+   * @returns {Promise<void>} Settles once the layers show the view
+   */
+  const setView = (view) => {
+    targetView.value = clampView(view)
+    return commitView()
+  }
+
+  /**
+   * Show the whole canvas again
+   * @returns {Promise<void>} Settles once the layers show the fitted view
+   */
+  const fitView = () => setView({ ...FIT_VIEW })
+
+  /**
+   * Zoom around the center of the canvas, e.g. from zoom buttons
+   * @param {number} direction - 1 to zoom in, -1 to zoom out
+   */
+  const zoomStep = (direction) => {
+    setView(zoomViewAt(targetView.value, BUTTON_ZOOM_STEP ** direction, { x: 0.5, y: 0.5 }))
+  }
+
+  /**
+   * Center the view on a point of the fitted content, e.g. from a mini-map
+   * @param {{ x: number, y: number }} point - Content position as shares of the canvas size
+   */
+  const centerOn = (point) => {
+    const { zoom } = targetView.value
+    setView({ zoom, x: 0.5 - point.x * zoom, y: 0.5 - point.y * zoom })
+  }
+
+  const startGesture = (type, pointerIds, startPoints) => {
+    if (wheelTimer) {
+      clearTimeout(wheelTimer)
+      wheelTimer = null
+    }
+    gesture = { type, pointerIds, startView: targetView.value, startPoints }
+    isGesturing.value = true
+    onGestureStart()
+  }
+
+  const endGesture = () => {
+    gesture = null
+    isGesturing.value = false
+    commitView()
+  }
+
+  /**
+   * Track a pointer going down; returns true when the event belongs to a zoom gesture
+   * and must not start a stroke
+   */
+  const handlePointerDown = (event) => {
+    if (event.pointerType === 'touch') {
+      touches.set(event.pointerId, { x: event.clientX, y: event.clientY })
+      if (gesture || touches.size !== 2 || !canStart()) return Boolean(gesture)
+
+      event.preventDefault()
+      const pointerIds = [...touches.keys()]
+      startGesture('pinch', pointerIds, pointerIds.map(id => {
+        const touch = touches.get(id)
+        return toViewportPoint(touch.x, touch.y)
+      }))
+      return true
+    }
+
+    if (event.pointerType === 'mouse' && event.button === 1 && !gesture && canStart()) {
+      event.preventDefault()
+      event.target.setPointerCapture?.(event.pointerId)
+      startGesture('pan', [event.pointerId], [toViewportPoint(event.clientX, event.clientY)])
+      return true
+    }
+
+    return false
+  }
+
+  /**
+   * Follow a moving pointer; returns true when the event belongs to a zoom gesture
+   */
+  const handlePointerMove = (event) => {
+    if (touches.has(event.pointerId)) {
+      touches.set(event.pointerId, { x: event.clientX, y: event.clientY })
+    }
+    if (!gesture || !gesture.pointerIds.includes(event.pointerId)) return false
+
+    event.preventDefault()
+    const { startView, startPoints } = gesture
+
+    if (gesture.type === 'pan') {
+      const point = toViewportPoint(event.clientX, event.clientY)
+      targetView.value = clampView({
+        ...startView,
+        x: startView.x + point.x - startPoints[0].x,
+        y: startView.y + point.y - startPoints[0].y
+      })
+      return true
+    }
+
+    // Pinch: zoom by the change in finger distance around the start midpoint, then follow the midpoint
+    const points = gesture.pointerIds.map(id => {
+      const touch = touches.get(id)
+      return toViewportPoint(touch.x, touch.y)
+    })
+    const rect = getViewport().getBoundingClientRect()
+    const distance = (a, b) => Math.hypot((a.x - b.x) * rect.width, (a.y - b.y) * rect.height)
+    const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 })
+
+    const startDistance = distance(startPoints[0], startPoints[1])
+    const factor = startDistance > 0 ? distance(points[0], points[1]) / startDistance : 1
+    const startMidpoint = midpoint(startPoints[0], startPoints[1])
+    const currentMidpoint = midpoint(points[0], points[1])
+    const zoomed = zoomViewAt(startView, factor, startMidpoint)
+    targetView.value = clampView({
+      ...zoomed,
+      x: zoomed.x + currentMidpoint.x - startMidpoint.x,
+      y: zoomed.y + currentMidpoint.y - startMidpoint.y
+    })
+    return true
+  }
+
+  /**
+   * Release a pointer; returns true when the event belonged to a zoom gesture
+   */
+  const handlePointerUp = (event) => {
+    touches.delete(event.pointerId)
+    if (!gesture || !gesture.pointerIds.includes(event.pointerId)) return false
+
+    endGesture()
+    return true
+  }
+
+  /**
+   * Zoom around the cursor with the mouse wheel (or a trackpad pinch, reported as ctrl+wheel)
+   */
+  const handleWheel = (event) => {
+    if (gesture || !canStart()) return
+
+    const delta = event.deltaMode === 1 ? event.deltaY * WHEEL_LINE_HEIGHT : event.deltaY
+    const view = zoomViewAt(targetView.value, Math.exp(-delta * WHEEL_ZOOM_SPEED), toViewportPoint(event.clientX, event.clientY))
+    // Scrolling past the zoom limits scrolls the page as usual
+    if (sameView(view, targetView.value)) return
+
+    event.preventDefault()
+    targetView.value = view
+
+    if (wheelTimer) {
+      clearTimeout(wheelTimer)
+    }
+    wheelTimer = setTimeout(() => {
+      wheelTimer = null
+      commitView()
+    }, WHEEL_SETTLE_DELAY)
+  }
+
+  /**
+   * Stop pending work, e.g. when the canvas is unmounted
+   */
+  const cleanup = () => {
+    if (wheelTimer) {
+      clearTimeout(wheelTimer)
+      wheelTimer = null
+    }
+    touches.clear()
+    gesture = null
+    isGesturing.value = false
+  }
+
+  return {
+    targetView,
+    isZoomed,
+    isGesturing,
+    previewTransform,
+    handlePointerDown,
+    handlePointerMove,
+    handlePointerUp,
+    handleWheel,
+    setView,
+    fitView,
+    zoomStep,
+    centerOn,
+    cleanup
+  }
+}
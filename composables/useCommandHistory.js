@@ -0,0 +1,77 @@
+import { shallowRef, computed } from 'vue'
+
+/**
+ * Composable for command-based undo/redo
+ * A command is an object { label, execute(), undo() }; executing it through the history
+ * records it so it can be undone and redone. Executing a new command clears the redo stack.
+ * @param {Object} options - History options
+ * @param {number} options.limit - Maximum number of commands kept for undo
+ * @returns {Object} History state and methods
+ */
+export function useCommandHistory({ limit = 50 } = {}) {
+  const undoStack = shallowRef([])
+  const redoStack = shallowRef([])
+
+  const canUndo = computed(() => undoStack.value.length > 0)
+  const canRedo = computed(() => redoStack.value.length > 0)
+
+  // Labels of the commands the next undo/redo would affect, for button tooltips
+  const undoLabel = computed(() => undoStack.value[undoStack.value.length - 1]?.label || '')
+  const redoLabel = computed(() => redoStack.value[redoStack.value.length - 1]?.label || '')
+
+  /**
+   * Run a command and record it
+   * @param {Object} command - { label, execute, undo }
+   * @returns {Object} The command
+   */
+  const execute = (command) => {
+    command.execute()
+    undoStack.value = [...undoStack.value, command].slice(-limit)
+    redoStack.value = []
+    return command
+  }
+
+  /**
+   * Undo the most recent command
+   * @returns {Object|null} The undone command, or null when there was nothing to undo
+   */
+  const undo = () => {
+    const command = undoStack.value[undoStack.value.length - 1]
+    if (!command) return null
+
+    command.undo()
+    undoStack.value = undoStack.value.slice(0, -1)
+    redoStack.value = [...redoStack.value, command]
+    return command
+  }
+
+  /**
+   * Redo the most recently undone command
+   * @returns {Object|null} The redone command, or null when there was nothing to redo
+   */
+  const redo = () => {
+    const command = redoStack.value[redoStack.value.length - 1]
+    if (!command) return null
+
+    command.execute()
+    redoStack.value = redoStack.value.slice(0, -1)
+    undoStack.value = [...undoStack.value, command].slice(-limit)
+    return command
+  }
+
+  const clearHistory = () => {
+    undoStack.value = []
+    redoStack.value = []
+  }
+
+  return {
+    canUndo,
+    canRedo,
+    undoLabel,
+    redoLabel,
+    execute,
+    undo,
+    redo,
+    clearHistory
+  }
+}
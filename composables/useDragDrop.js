@@ -169,8 +169,9 @@ export function useDragDrop(options = {}) {
    * @param {Event} event - Drag event
    * @param {Object} colorData - Color data to drag
    * @param {boolean} isFromGrid - Whether drag is from grid cell
+   * @param {boolean} isFromOverflow - Whether drag is from the grid's overflow tray
    */
-  const handleDragStart = (event, colorData, isFromGrid = false) => {
+  const handleDragStart = (event, colorData, isFromGrid = false, isFromOverflow = false) => {
     try {
       const standardizedData = createColorData(colorData)
       
@@ -183,6 +184,8 @@ export function useDragDrop(options = {}) {
       
       if (isFromGrid) {
         event.dataTransfer.setData('text/plain', 'grid-item')
+      } else if (isFromOverflow) {
+        event.dataTransfer.setData('text/plain', 'overflow-item')
       }
       
       // Hide default drag image and use our custom preview
@@ -245,8 +248,9 @@ export function useDragDrop(options = {}) {
    * @param {Event} event - Touch event
    * @param {Object} colorData - Color data to drag
    * @param {boolean} isFromGrid - Whether drag is from grid cell
+   * @param {boolean} isFromOverflow - Whether drag is from the grid's overflow tray
    */
-  const handleTouchStart = (event, colorData, isFromGrid = false) => {
+  const handleTouchStart = (event, colorData, isFromGrid = false, isFromOverflow = false) => {
     try {
       const touch = event.touches[0]
       const standardizedData = createColorData(colorData)
@@ -258,6 +262,7 @@ export function useDragDrop(options = {}) {
         time: Date.now(),
         colorData: standardizedData,
         isFromGrid,
+        isFromOverflow,
         target: event.target
       }
       
@@ -305,7 +310,7 @@ export function useDragDrop(options = {}) {
         dragConfirmed.value = true
         
         // Start drag
-        dragData.value = { ...startData.colorData, isFromGrid: startData.isFromGrid }
+        dragData.value = { ...startData.colorData, isFromGrid: startData.isFromGrid, isFromOverflow: startData.isFromOverflow }
         isDragging.value = true
         
         // Add visual feedback to source
@@ -325,7 +330,7 @@ export function useDragDrop(options = {}) {
         dragConfirmed.value = true
         
         // Start drag
-        dragData.value = { ...startData.colorData, isFromGrid: startData.isFromGrid }
+        dragData.value = { ...startData.colorData, isFromGrid: startData.isFromGrid, isFromOverflow: startData.isFromOverflow }
         isDragging.value = true
         
         // Add visual feedback to source
@@ -414,7 +419,8 @@ export function useDragDrop(options = {}) {
         detail: {
           dragData: dragData.value,
           targetCell: gridCell,
-          isFromGrid: dragData.value.isFromGrid || false
+          isFromGrid: dragData.value.isFromGrid || false,
+          isFromOverflow: dragData.value.isFromOverflow || false
         }
       })
       document.dispatchEvent(dropEvent)
@@ -454,7 +460,8 @@ export function useDragDrop(options = {}) {
       }
       
       const colorData = JSON.parse(jsonData)
-      const isGridItem = event.dataTransfer.getData('text/plain') === 'grid-item'
+      const source = event.dataTransfer.getData('text/plain')
+      const isGridItem = source === 'grid-item'
       
       // Validate color data structure
       if (!colorData || typeof colorData !== 'object') {
@@ -464,7 +471,8 @@ export function useDragDrop(options = {}) {
       
       return {
         colorData,
-        isFromGrid: isGridItem
+        isFromGrid: isGridItem,
+        isFromOverflow: source === 'overflow-item'
       }
     } catch (err) {
       console.error('Error parsing drop data:', err, {
@@ -1,6 +1,64 @@
-import { ref, computed } from 'vue'
+import { ref, shallowRef, computed } from 'vue'
 import { useSVGLoader } from './useSVGLoader.js'
-import eyeSvgUrl from '../src/assets/espm-eye.svg'
+import {
+  DEFAULT_ARTWORK_ID,
+  getArtworkById,
+  getArtworkAspectRatio,
+  getArtworkStyleOverrides,
+  EYE_VIEWS,
+  FIT_VIEW,
+  getEyeCells,
+  applyViewToCell,
+  findEyeCell,
+  getEyeUnitSize,
+  canvasToEye,
+  eyeToCanvas,
+  createCellPath,
+  createZonePath
+} from './eyeArtwork.js'
+import { drawAreaFinish } from './eyeFinishes.js'
+import { getAppearanceParts, loadStoredAppearance, saveAppearance } from './eyeAppearance.js'
+import { getReflectanceColor, SKIN_REFLECTANCE_COLOR } from './eyeLighting.js'
+import { BRUSH_TOOLS, createBrushStroke } from './eyeBrush.js'
+import {
+  DETAIL_LAYERS,
+  DETAIL_LAYER_ORDER,
+  LINER_TOOL,
+  LINER_COLORS,
+  LINER_TAPERS,
+  LINER_TAPER_INFO,
+  LINER_PRESET_INFO,
+  smoothLinerPath,
+  getLinerPresetPath,
+  drawLinerInCell,
+  drawLashesInCell,
+  drawBrowFill
+} from './eyeDetails.js'
+import {
+  getColorLayerId,
+  getZoneLayerId,
+  applyPaintLayerOperation,
+  getPaintLayers,
+  compositePaintLayers,
+  canMergePaintLayers,
+  mergePaintLayerCanvas
+} from './eyeLayers.js'
+import {
+  LOG_OPERATIONS,
+  createStrokeOperation,
+  createLookOperation,
+  createLinerOperation,
+  createLashesOperation,
+  createBrowOperation,
+  createPaintLayerOperation,
+  createLayerOrderOperation,
+  createMergeLayersOperation,
+  createClearOperation,
+  getVisibleOperations,
+  getCurrentOperation,
+  getCurrentLookAssignments,
+  buildReplayTimeline
+} from './eyeStrokeLog.js'
 
 /**
  * Composable for managing eye drawing operations on canvas
@@ -18,6 +76,16 @@ export const EYE_ZONES = {
   WATERLINE: 'waterline'              // Inner rim (optional)
 }
 
+// Order zones are painted in when applying a look, so deeper accents blend over the base
+export const ZONE_PAINT_ORDER = [
+  EYE_ZONES.BROW_BONE,
+  EYE_ZONES.CREASE,
+  EYE_ZONES.MOBILE_LID,
+  EYE_ZONES.OUTER_V,
+  EYE_ZONES.INNER_CORNER,
+  EYE_ZONES.LOWER_LASH
+]
+
 // Zone descriptions for UI
 export const ZONE_INFO = {
   [EYE_ZONES.MOBILE_LID]: {
@@ -76,43 +144,189 @@ export const EYE_COLORS = [
   { name: 'Dark Brown', color: '#3d281dff' }
 ]
 
+// Opacity of zone fills when applying a look
+const LOOK_OPACITY = 0.75
+
+// Paint layers a look paints its zones into, in zone paint order (see eyeLayers.js)
+const ZONE_LAYERS = ZONE_PAINT_ORDER.map(zone => ({ zone, id: getZoneLayerId(zone), name: ZONE_INFO[zone].name }))
+
+// Lash density used until a lash style is chosen
+const DEFAULT_LASH_DENSITY = 0.7
+
+/**
+ * Paint layer a palette color paints into by default
+ * @param {Object} color - Color data
+ * @returns {{ id: string, name: string, swatch: string }} Layer for a stroke operation
+ */
+const getColorLayer = (color) => ({
+  id: getColorLayerId(color),
+  name: color.colorName || color.bgColor,
+  swatch: color.bgColor
+})
+
+/**
+ * Empty stack of paint layers, for the canvas or an offscreen render
+ * @param {Object} compositeOptions - Overrides of how the layers are composited: backdrop (the
+ *   skin tone by default) and blendModes (see eyeLayers.js compositePaintLayers)
+ * @returns {{ layers: Array, canvases: Map, compositeOptions: Object }} Layer states bottom first,
+ *   and layer ID -> canvas
+ */
+const createPaintLayerStack = (compositeOptions = {}) => ({ layers: [], canvases: new Map(), compositeOptions })
+
 export function useEyeDrawing() {
   const canvasRef = ref(null) // Interaction layer (transparent)
-  const paintCanvasRef = ref(null) // Paint layer (user drawing)
+  const paintCanvasRef = ref(null) // Paint layer (user drawing): the paint layers composited over the skin
   const eyeCanvasRef = ref(null) // Eye layer (SVG elements)
   const canvasContext = ref(null) // Interaction layer context
   const paintContext = ref(null) // Paint layer context  
   const eyeContext = ref(null) // Eye layer context
+  let detailCanvases = {} // Detail layer key -> canvas, over the eye layer (see eyeDetails.js DETAIL_LAYERS)
+  // Paint layers as rendered on screen, bottom first, and their offscreen canvases (see eyeLayers.js)
+  let paintLayerStack = createPaintLayerStack()
+  let paintLayerPreview = null // { layer, changes } shown on screen but not logged yet, e.g. while dragging an opacity slider
   const isDrawing = ref(false)
   const selectedColor = ref(null)
-  const brushSize = ref(15)
-  const brushOpacity = ref(0.6)
-  const lastDrawPosition = ref({ x: 0, y: 0 })
-  const isErasing = ref(false) // Track if eraser tool is active
+  const brushSize = ref(0.035) // Brush diameter in eye units (share of the artwork's width), the same on the eye at any zoom
+  const brushOpacity = ref(0.6) // Maximum opacity of a single stroke
+  const brushHardness = ref(0.3) // 0 = airbrush falloff, 1 = hard edge
+  const brushFlow = ref(0.35) // Paint laid down per dab, building up to the stroke opacity
+  const brushSpacing = ref(0.15) // Distance between dabs, as a share of the brush size
+  const brushTool = ref(BRUSH_TOOLS.PAINT)
+  const pressureAffectsSize = ref(true) // Pen pressure scales the brush size
+  const pressureAffectsOpacity = ref(true) // Pen pressure scales how much paint each dab lays down
+  const isErasing = computed(() => brushTool.value === BRUSH_TOOLS.ERASE) // Track if eraser tool is active
   const eyeLayer = ref(null) // Store the SVG eye elements
-  const hasDrawnOnCanvas = ref(false) // Track if user has drawn anything
-  const skinTone = ref(SKIN_TONES[0].color) // Default to fair skin
-  const eyeColor = ref(EYE_COLORS[3].color) // Default to blue eyes
+  // Appearance starts from the user's last choices (see eyeAppearance.js)
+  const storedAppearance = loadStoredAppearance()
+  const skinTone = ref(storedAppearance.skinTone)
+  const undertone = ref(storedAppearance.undertone) // Tints skin shading and highlights
+  const eyeColor = ref(storedAppearance.eyeColor)
+  const browColor = ref(storedAppearance.browColor)
+  const artwork = ref(getArtworkById(DEFAULT_ARTWORK_ID)) // Artwork config with zone masks (see data/eyeArtworks.json)
+  const activeZone = ref(EYE_ZONES.MOBILE_LID) // Zone selected for zone painting and overlay highlight
+  const clipToZone = ref(false) // Clip strokes to the active zone
+  const showZoneOverlay = ref(false) // Show zone outlines on the interaction layer
+  const eyeView = ref(EYE_VIEWS.SINGLE) // One eye, or both eyes side by side
+  const mirrorStrokes = ref(true) // Draw every stroke on both eyes; off paints each eye independently
+  const canvasView = ref({ ...FIT_VIEW }) // Zoom and pan of the canvas (see eyeArtwork.js FIT_VIEW)
+  const linerColor = ref(LINER_COLORS[0].color)
+  const linerWidth = ref(0.012) // Liner width in eye units
+  const linerTaper = ref(LINER_TAPERS.TAPERED)
+  const exportDetailLayers = ref([...DETAIL_LAYER_ORDER]) // Detail layers included when sharing or exporting
+  const targetPaintLayerId = ref(null) // Paint layer strokes go into; null paints each color on its own layer
   
   // Cache for pre-rendered SVG eye layers by color
   const eyeLayerCache = new Map()
+
+  // Zoomed renders are large and differ at every zoom level, so only the latest one is kept
+  let zoomedEyeLayer = null // { key, canvas }
+
+  // Cache for zone paths by canvas size; emptied when panning has filled it with stale positions
+  const zonePathCache = new Map()
+  const ZONE_PATH_CACHE_LIMIT = 200
+
+  // Renders of the artwork's brow element alone, by artwork and cell size, for brow fill
+  const browMaskCache = new Map()
+  const BROW_MASK_CACHE_LIMIT = 8
   
   // SVG loader for artwork
   const { loadSVGToCanvas, loadSVGAsLayers, isLoading: svgLoading, loadError: svgError } = useSVGLoader()
   
-  // Undo/Redo functionality - Optimized with compression
-  const undoHistory = ref([]) // Stack of compressed canvas states
-  const redoHistory = ref([]) // Stack of undone states for redo
-  const maxUndoSteps = 20 // Limit history to prevent memory issues
-  const baseState = ref(null) // Base empty canvas state for delta compression
+  // Undo/Redo functionality - the paint layer is re-rendered from a log of operations (see eyeStrokeLog.js)
+  const drawLog = shallowRef([]) // Operations currently applied, oldest first
+  const redoLog = shallowRef([]) // Undone operations, most recently undone last
+  const isReplaying = ref(false)
+
+  // Bumped whenever the paint or eye layer changes, so views built from the layers (e.g. the lit preview) can refresh
+  const sceneVersion = ref(0)
+
+  // Zone key -> color data of the look currently on the canvas
+  const lookAssignments = computed(() => getCurrentLookAssignments(drawLog.value))
+
+  // Lash overlay and brow fill currently on the canvas (style null when there is none)
+  const lashes = computed(() => {
+    const operation = getCurrentOperation(drawLog.value, LOG_OPERATIONS.LASHES)
+    return { style: operation?.style ?? null, density: operation?.density ?? DEFAULT_LASH_DENSITY }
+  })
+
+  const browFill = computed(() => {
+    const operation = getCurrentOperation(drawLog.value, LOG_OPERATIONS.BROW)
+    return { style: operation?.style ?? null, color: operation?.color ?? browColor.value }
+  })
+
+  // Paint layers on the canvas, bottom first
+  const paintLayers = computed(() => getPaintLayers(drawLog.value, ZONE_LAYERS))
+
+  // Layer picked to paint into, while it exists
+  const targetPaintLayer = computed(() => {
+    return paintLayers.value.find(layer => layer.id === targetPaintLayerId.value) || null
+  })
+
+  /**
+   * Eyes on the canvas with the whole view fitted, ignoring zoom and pan
+   * @returns {Array} Eye cells (see eyeArtwork.js getEyeCells)
+   */
+  const getFitEyeCells = () => {
+    const canvas = paintCanvasRef.value || eyeCanvasRef.value
+    return canvas ? getEyeCells(eyeView.value, canvas.width, canvas.height) : []
+  }
+
+  /**
+   * Eyes shown on the canvas in the current view, zoomed and panned
+   * Everything drawn on the canvas is placed through these cells, so drawing works the same at any zoom.
+   * @returns {Array} Eye cells (see eyeArtwork.js getEyeCells)
+   */
+  const getCanvasEyeCells = () => {
+    const canvas = paintCanvasRef.value || eyeCanvasRef.value
+    if (!canvas) return []
+    return getFitEyeCells().map(cell => applyViewToCell(cell, canvasView.value, canvas.width, canvas.height))
+  }
+
+  /**
+   * Paint and detail layer canvases, keyed by layer
+   * @returns {Object} { paint, paintLayers, brow, liner, lashes }: paint is the canvas the paint
+   *   layers are composited into and paintLayers their stack (see createPaintLayerStack); detail
+   *   layers are missing until they are set up
+   */
+  const getLayerCanvases = () => ({ paint: paintCanvasRef.value, paintLayers: paintLayerStack, ...detailCanvases })
+
+  /**
+   * Blank offscreen paint and detail layers, e.g. to render the look at another size
+   * @param {number} width - Layer width
+   * @param {number} height - Layer height
+   * @param {Object} compositeOptions - How the paint layers are composited (see createPaintLayerStack)
+   * @returns {Object} { paint, paintLayers, brow, liner, lashes }
+   */
+  const createLayerCanvases = (width, height, compositeOptions = {}) => {
+    const canvases = Object.fromEntries(['paint', ...DETAIL_LAYER_ORDER].map(layer => {
+      const canvas = document.createElement('canvas')
+      canvas.width = width
+      canvas.height = height
+      return [layer, canvas]
+    }))
+    return { ...canvases, paintLayers: createPaintLayerStack(compositeOptions) }
+  }
+
+  /**
+   * Detail layer canvases in stacking order
+   * @param {Array<string>} layers - Detail layers to include, all by default
+   * @param {Object} canvases - Layer key -> canvas, the on-screen layers by default
+   * @returns {Array<HTMLCanvasElement>} Canvases, bottom first
+   */
+  const getDetailCanvases = (layers = DETAIL_LAYER_ORDER, canvases = detailCanvases) => {
+    return DETAIL_LAYER_ORDER
+      .filter(layer => layers.includes(layer) && canvases[layer])
+      .map(layer => canvases[layer])
+  }
 
   /**
    * Initialize the multi-layer canvas system
    * @param {HTMLCanvasElement} interactionCanvas - The interaction layer canvas
    * @param {HTMLCanvasElement} paintCanvas - The paint layer canvas  
    * @param {HTMLCanvasElement} eyeCanvas - The eye layer canvas
+   * @param {Object} detailLayerCanvases - Detail layer key -> canvas (see eyeDetails.js DETAIL_LAYERS)
    */
-  const initializeCanvasLayers = async (interactionCanvas, paintCanvas, eyeCanvas) => {
+  const initializeCanvasLayers = async (interactionCanvas, paintCanvas, eyeCanvas, detailLayerCanvases = {}) => {
     console.log('initializeCanvasLayers called')
     
     if (!interactionCanvas || !paintCanvas || !eyeCanvas) {
@@ -124,6 +338,7 @@ export function useEyeDrawing() {
     canvasRef.value = interactionCanvas
     paintCanvasRef.value = paintCanvas
     eyeCanvasRef.value = eyeCanvas
+    detailCanvases = { ...detailLayerCanvases }
     
     // Get contexts
     canvasContext.value = interactionCanvas.getContext('2d')
@@ -141,13 +356,6 @@ export function useEyeDrawing() {
     const drawResult = await drawEyeLayer()
     console.log('Eye layer drawing completed:', drawResult)
     
-    // Initialize base state for undo system after a small delay
-    setTimeout(() => {
-      initializeBaseState()
-      // Save initial empty state to undo history
-      saveStateToUndoHistory()
-    }, 50)
-    
     // Pre-cache other eye colors in the background for fast switching
     setTimeout(() => {
       preCacheEyeColors()
@@ -165,47 +373,155 @@ export function useEyeDrawing() {
   }
 
   /**
-   * Generate cache key for eye layer based on canvas dimensions and eye color
+   * Current appearance, with an optional eye color in place of the selected one
    */
-  const getEyeLayerCacheKey = (width, height, color) => {
-    return `${width}x${height}_${color}`
+  const getAppearance = (color = eyeColor.value) => ({
+    skinTone: skinTone.value,
+    undertone: undertone.value,
+    eyeColor: color,
+    browColor: browColor.value
+  })
+
+  /**
+   * Generate cache key for eye layer based on artwork, canvas dimensions and appearance
+   */
+  const getEyeLayerCacheKey = (artworkId, width, height, appearance) => {
+    return `${artworkId}_${width}x${height}_${appearance.eyeColor}_${appearance.browColor}_${appearance.skinTone}_${appearance.undertone}`
+  }
+
+  /**
+   * Render the eye artwork for an appearance into a new canvas of one eye cell's size
+   */
+  const renderEyeLayer = async (appearance, width, height, eyeArtwork) => {
+    // Create temporary canvas for rendering
+    const tempCanvas = document.createElement('canvas')
+    tempCanvas.width = width
+    tempCanvas.height = height
+    
+    const styleOverrides = getArtworkStyleOverrides(eyeArtwork, getAppearanceParts(appearance))
+    
+    // Render SVG to temporary canvas
+    await loadSVGToCanvas(eyeArtwork.svgUrl, tempCanvas, styleOverrides, {
+      aspectRatio: getArtworkAspectRatio(eyeArtwork)
+    })
+    
+    return tempCanvas
   }
 
   /**
-   * Pre-render and cache eye layer for a specific color and canvas size
+   * Pre-render and cache eye layer for an appearance and canvas size
    */
-  const cacheEyeLayerForColor = async (color, width, height) => {
-    const cacheKey = getEyeLayerCacheKey(width, height, color)
+  const cacheEyeLayer = async (appearance, width, height, eyeArtwork = artwork.value) => {
+    const cacheKey = getEyeLayerCacheKey(eyeArtwork.id, width, height, appearance)
     
     if (eyeLayerCache.has(cacheKey)) {
       return eyeLayerCache.get(cacheKey)
     }
 
     try {
-      // Create temporary canvas for rendering
-      const tempCanvas = document.createElement('canvas')
-      tempCanvas.width = width
-      tempCanvas.height = height
-      
-      const styleOverrides = {
-        '.cls-2': {
-          fill: color
-        }
-      }
-      
-      // Render SVG to temporary canvas
-      const imageData = await loadSVGToCanvas(eyeSvgUrl, tempCanvas, styleOverrides)
+      const tempCanvas = await renderEyeLayer(appearance, width, height, eyeArtwork)
       
       // Cache the rendered canvas
       eyeLayerCache.set(cacheKey, tempCanvas)
       
       return tempCanvas
     } catch (error) {
-      console.error('Error caching eye layer for color:', color, error)
+      console.error('Error caching eye layer for appearance:', appearance, error)
+      return null
+    }
+  }
+
+  /**
+   * Eye layer render for a zoomed cell size, re-rendered only when the size or appearance changes
+   */
+  const getZoomedEyeLayer = async (appearance, width, height) => {
+    const cacheKey = getEyeLayerCacheKey(artwork.value.id, width, height, appearance)
+    if (zoomedEyeLayer?.key === cacheKey) {
+      return zoomedEyeLayer.canvas
+    }
+
+    try {
+      zoomedEyeLayer = { key: cacheKey, canvas: await renderEyeLayer(appearance, width, height, artwork.value) }
+      return zoomedEyeLayer.canvas
+    } catch (error) {
+      console.error('Error rendering zoomed eye layer:', error)
+      return null
+    }
+  }
+
+  /**
+   * Draw an eye render into every eye cell, mirroring where needed
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {HTMLCanvasElement} eyeRender - Eye artwork rendered at the cells' size
+   * @param {Array} cells - Eye cells
+   */
+  const drawEyeCells = (ctx, eyeRender, cells) => {
+    cells.forEach(cell => {
+      ctx.save()
+      if (cell.mirrored) {
+        ctx.translate(cell.x + cell.width, cell.y)
+        ctx.scale(-1, 1)
+      } else {
+        ctx.translate(cell.x, cell.y)
+      }
+      ctx.drawImage(eyeRender, 0, 0)
+      ctx.restore()
+    })
+  }
+
+  /**
+   * Render the artwork's brow element alone at one eye cell's size, for masking brow fill to it
+   * @param {Array} cells - Eye cells the mask is for (every cell has the same size)
+   * @returns {Promise<HTMLCanvasElement|null>} Brow render, or null when the artwork has no brow
+   */
+  const prepareBrowMask = async (cells) => {
+    const browSelector = artwork.value.classMap.brow
+    if (!browSelector || cells.length === 0) return null
+
+    const { width, height } = cells[0]
+    const cacheKey = `${artwork.value.id}_${width}x${height}`
+    if (browMaskCache.has(cacheKey)) {
+      return browMaskCache.get(cacheKey)
+    }
+
+    try {
+      const maskCanvas = document.createElement('canvas')
+      maskCanvas.width = width
+      maskCanvas.height = height
+      await loadSVGToCanvas(artwork.value.svgUrl, maskCanvas, {}, {
+        aspectRatio: getArtworkAspectRatio(artwork.value),
+        isolate: browSelector
+      })
+
+      if (browMaskCache.size >= BROW_MASK_CACHE_LIMIT) {
+        browMaskCache.clear()
+      }
+      browMaskCache.set(cacheKey, maskCanvas)
+      return maskCanvas
+    } catch (error) {
+      console.error('Error rendering brow mask:', error)
       return null
     }
   }
 
+  /**
+   * The brow mask placed in every eye cell of a canvas, if it has been rendered for the cells' size
+   * @param {HTMLCanvasElement} canvas - Canvas the mask is for
+   * @param {Array} cells - Eye cells
+   * @returns {HTMLCanvasElement|null} Mask the size of the canvas, or null when it isn't ready
+   */
+  const getPlacedBrowMask = (canvas, cells) => {
+    const { width, height } = cells[0]
+    const browRender = browMaskCache.get(`${artwork.value.id}_${width}x${height}`)
+    if (!browRender) return null
+
+    const mask = document.createElement('canvas')
+    mask.width = canvas.width
+    mask.height = canvas.height
+    drawEyeCells(mask.getContext('2d'), browRender, cells)
+    return mask
+  }
+
   /**
    * Pre-cache common eye colors for current canvas dimensions
    */
@@ -213,11 +529,13 @@ export function useEyeDrawing() {
     const eyeLayerCanvas = eyeCanvasRef.value
     if (!eyeLayerCanvas) return
 
-    const { width, height } = eyeLayerCanvas
+    // Every eye cell has the same size; the mirrored eye reuses the same render.
+    // Only the fitted size is worth caching; zoomed sizes change with every zoom level.
+    const { width, height } = getFitEyeCells()[0]
     
-    // Pre-cache all available eye colors for current canvas size
+    // Pre-cache all preset eye colors with the rest of the current appearance
     const cachePromises = EYE_COLORS.map(eyeColorOption => 
-      cacheEyeLayerForColor(eyeColorOption.color, width, height)
+      cacheEyeLayer(getAppearance(eyeColorOption.color), width, height)
     )
     
     try {
@@ -241,25 +559,29 @@ export function useEyeDrawing() {
 
     try {
       const eyeLayerCanvas = eyeCanvasRef.value
-      const cacheKey = getEyeLayerCacheKey(eyeLayerCanvas.width, eyeLayerCanvas.height, eyeColor.value)
-      
-      // Check if we have a cached version
-      let cachedCanvas = eyeLayerCache.get(cacheKey)
+      const cells = getCanvasEyeCells()
+      const { width, height } = cells[0]
+      const appearance = getAppearance()
+      // Brow fill is masked to the brow; have the mask ready for this size before the layers are redrawn
+      if (browFill.value.style) {
+        await prepareBrowMask(cells)
+      }
       
+      // Use the cached render when there is one, otherwise generate (and cache) it
+      const cachedCanvas = canvasView.value.zoom === FIT_VIEW.zoom
+        ? await cacheEyeLayer(appearance, width, height)
+        : await getZoomedEyeLayer(appearance, width, height)
       if (!cachedCanvas) {
-        // Not cached, generate and cache it
-        cachedCanvas = await cacheEyeLayerForColor(eyeColor.value, eyeLayerCanvas.width, eyeLayerCanvas.height)
-        if (!cachedCanvas) {
-          return false
-        }
+        return false
       }
       
-      // Clear the eye layer and draw cached canvas
+      // Clear the eye layer and draw the cached eye into every cell, mirroring where needed
       ctx.clearRect(0, 0, eyeLayerCanvas.width, eyeLayerCanvas.height)
-      ctx.drawImage(cachedCanvas, 0, 0)
+      drawEyeCells(ctx, cachedCanvas, cells)
       
       // Store reference to the layer data
       eyeLayer.value = ctx.getImageData(0, 0, eyeLayerCanvas.width, eyeLayerCanvas.height)
+      sceneVersion.value++
       
       return true
       
@@ -274,106 +596,543 @@ export function useEyeDrawing() {
 
 
   /**
-   * Start drawing at mouse position
+   * Get the canvas-space path of a zone of one eye for the current canvas size
+   * @param {string} zone - Zone key (see EYE_ZONES)
+   * @param {Object} cell - Eye cell (see getCanvasEyeCells)
+   * @returns {Path2D|null} Zone path, or null when the artwork has no mask for it
    */
-  const startDrawing = (x, y) => {
-    if (!paintContext.value) return
-    if (!isErasing.value && !selectedColor.value) return // Need color for painting, but not for erasing
-    
-    isDrawing.value = true
-    lastDrawPosition.value = { x, y }
-    drawAtPosition(x, y)
+  const getZonePath = (zone, cell) => {
+    const cacheKey = `${artwork.value.id}_${cell.x},${cell.y}_${cell.width}x${cell.height}_${cell.mirrored}_${zone}`
+    if (!zonePathCache.has(cacheKey)) {
+      if (zonePathCache.size >= ZONE_PATH_CACHE_LIMIT) {
+        zonePathCache.clear()
+      }
+      zonePathCache.set(cacheKey, createZonePath(artwork.value, zone, cell))
+    }
+    return zonePathCache.get(cacheKey)
   }
 
   /**
-   * Continue drawing as mouse moves
+   * Draw zone outlines on the interaction layer, or clear it when the overlay is off
    */
-  const continueDrawing = (x, y) => {
-    if (!isDrawing.value || !paintContext.value) return
-    if (!isErasing.value && !selectedColor.value) return // Need color for painting, but not for erasing
-    
-    drawLine(lastDrawPosition.value.x, lastDrawPosition.value.y, x, y)
-    lastDrawPosition.value = { x, y }
+  const drawZoneOverlay = () => {
+    const ctx = canvasContext.value
+    const canvas = canvasRef.value
+    if (!ctx || !canvas) return
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height)
+    if (!showZoneOverlay.value) return
+
+    const cells = getCanvasEyeCells()
+    Object.entries(ZONE_INFO).forEach(([zone, info]) => cells.forEach(cell => {
+      const zonePath = getZonePath(zone, cell)
+      if (!zonePath) return
+
+      const isActive = zone === activeZone.value
+      ctx.save()
+      ctx.globalAlpha = isActive ? 0.5 : 0.3
+      ctx.fillStyle = info.color
+      ctx.fill(zonePath)
+      ctx.globalAlpha = 1
+      ctx.strokeStyle = info.color
+      ctx.lineWidth = isActive ? 3 : 1.5
+      ctx.setLineDash(isActive ? [] : [4, 3])
+      ctx.stroke(zonePath)
+      ctx.restore()
+    }))
   }
 
   /**
-   * Stop drawing and save state for undo
+   * Select the zone used for zone painting
    */
-  const stopDrawing = () => {
-    if (isDrawing.value) {
-      isDrawing.value = false
-      // Clear redo history when new action is performed
-      redoHistory.value = []
-      // Save state to undo history after drawing is complete
-      saveStateToUndoHistory()
+  const setActiveZone = (zone) => {
+    activeZone.value = zone
+    drawZoneOverlay()
+  }
+
+  /**
+   * Toggle clipping strokes to the active zone
+   */
+  const toggleZoneClip = () => {
+    clipToZone.value = !clipToZone.value
+  }
+
+  /**
+   * Toggle the zone outline overlay
+   */
+  const toggleZoneOverlay = () => {
+    showZoneOverlay.value = !showZoneOverlay.value
+    drawZoneOverlay()
+  }
+
+  /**
+   * Canvas of a paint layer, created blank the size of the paint canvas when it has none yet
+   * @param {Object} layers - Layer canvases (see getLayerCanvases)
+   * @param {string} id - Paint layer ID
+   * @returns {HTMLCanvasElement} Layer canvas
+   */
+  const getPaintLayerCanvas = (layers, id) => {
+    const { canvases } = layers.paintLayers
+    if (!canvases.has(id)) {
+      const canvas = document.createElement('canvas')
+      canvas.width = layers.paint.width
+      canvas.height = layers.paint.height
+      canvases.set(id, canvas)
     }
+    return canvases.get(id)
   }
 
   /**
-   * Draw a single dot at position on the paint layer
+   * Drop the canvases of paint layers that are no longer in a stack
    */
-  const drawAtPosition = (x, y) => {
-    const ctx = paintContext.value
-    if (!ctx) return
+  const prunePaintLayerCanvases = (stack) => {
+    stack.canvases.forEach((canvas, id) => {
+      if (!stack.layers.some(layer => layer.id === id)) {
+        stack.canvases.delete(id)
+      }
+    })
+  }
 
-    ctx.save()
-    
-    if (isErasing.value) {
-      // Erase mode - remove paint
-      ctx.globalCompositeOperation = 'destination-out'
-      ctx.globalAlpha = 1.0 // Full opacity for erasing
-    } else {
-      // Paint mode - add color
-      ctx.globalCompositeOperation = 'source-over'
-      ctx.globalAlpha = brushOpacity.value
-      ctx.fillStyle = selectedColor.value.bgColor
+  /**
+   * Composite a set of paint layers into its paint canvas, over the skin unless the stack
+   * says otherwise; the on-screen stack shows any layer change being previewed
+   * @param {Object} layers - Layer canvases (see getLayerCanvases)
+   */
+  const compositePaint = (layers) => {
+    const stack = layers.paintLayers
+    if (!layers.paint || !stack) return
+
+    const preview = stack === paintLayerStack ? paintLayerPreview : null
+    const states = preview
+      ? stack.layers.map(layer => layer.id === preview.layer ? { ...layer, ...preview.changes } : layer)
+      : stack.layers
+    compositePaintLayers(layers.paint, states, stack.canvases, { backdrop: skinTone.value, ...stack.compositeOptions })
+  }
+
+  /**
+   * Render zone fills on every eye with soft, blended edges, each zone on its own paint layer
+   * The zone layers are repainted from scratch; paint on other layers is left alone.
+   * @param {Object} assignments - Zone key -> color data (null leaves the zone bare)
+   * @param {Object} layers - Layer canvases to render into, the on-screen layers by default
+   * @param {Array} cells - Eye cells to render into, the current view's by default
+   */
+  const renderLook = (assignments, layers = getLayerCanvases(), cells = getCanvasEyeCells()) => {
+    // Blur radius scales with the eye so edges look the same on every screen size and zoom
+    const softness = Math.max(2, Math.round(cells[0].width / 80))
+
+    ZONE_LAYERS.forEach(({ zone, id }) => {
+      const color = assignments[zone]
+      if (!color) return
+
+      const canvas = getPaintLayerCanvas(layers, id)
+      const ctx = canvas.getContext('2d')
+      ctx.clearRect(0, 0, canvas.width, canvas.height)
+      cells.forEach(cell => {
+        const zonePath = getZonePath(zone, cell)
+        if (!zonePath) return
+
+        ctx.save()
+        ctx.filter = `blur(${softness}px)`
+        ctx.globalAlpha = LOOK_OPACITY
+        ctx.fillStyle = color.bgColor
+        ctx.fill(zonePath)
+        ctx.restore()
+        drawAreaFinish(ctx, color, zonePath, canvas.width, canvas.height, LOOK_OPACITY)
+      })
+    })
+  }
+
+  /**
+   * Paint whole zones with soft, blended edges, replacing the zone layers of the current look
+   * Applying a look is a single undoable step.
+   * @param {Object} assignments - Zone key -> color data (null leaves the zone bare)
+   */
+  const paintZoneColors = (assignments) => {
+    const canvas = paintCanvasRef.value
+    if (!paintContext.value || !canvas || isReplaying.value) return
+
+    const operation = createLookOperation(assignments)
+    renderOperation(operation)
+    recordOperation(operation)
+  }
+
+  /**
+   * Change the color of one zone of the applied look and repaint it
+   * @param {string} zone - Zone key (see EYE_ZONES)
+   * @param {Object|null} color - Color data, or null to leave the zone bare
+   */
+  const setZoneColor = (zone, color) => {
+    paintZoneColors({ ...lookAssignments.value, [zone]: color })
+  }
+
+  /**
+   * Draw a liner line on each shown eye it belongs to, on top of what the canvas holds
+   * Preset lines are placed along the current artwork's lash line.
+   * @param {Object} operation - Liner operation
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   * @param {Array} cells - Eye cells to draw in
+   */
+  const renderLiner = (operation, canvas, cells) => {
+    const path = operation.liner.preset
+      ? getLinerPresetPath(artwork.value, operation.liner.preset)
+      : operation.points
+    const ctx = canvas.getContext('2d')
+
+    cells
+      .filter(cell => operation.eyes.includes(cell.index))
+      .forEach(cell => {
+        ctx.save()
+        ctx.clip(createCellPath(cell))
+        drawLinerInCell(ctx, artwork.value, cell, path, operation.liner)
+        ctx.restore()
+      })
+  }
+
+  /**
+   * Render a lash setting, replacing what the canvas holds
+   */
+  const renderLashes = (operation, canvas, cells) => {
+    const ctx = canvas.getContext('2d')
+    ctx.clearRect(0, 0, canvas.width, canvas.height)
+    if (!operation.style) return
+
+    cells.forEach(cell => {
+      ctx.save()
+      ctx.clip(createCellPath(cell))
+      drawLashesInCell(ctx, artwork.value, cell, operation.style, operation.density)
+      ctx.restore()
+    })
+  }
+
+  /**
+   * Render a brow fill, replacing what the canvas holds
+   * The brow mask is rendered asynchronously; when it isn't ready yet, the on-screen brow layer
+   * is drawn again once it is.
+   */
+  const renderBrowFill = (operation, canvas, cells) => {
+    const ctx = canvas.getContext('2d')
+    ctx.clearRect(0, 0, canvas.width, canvas.height)
+    if (!operation.style || cells.length === 0) return
+
+    const mask = getPlacedBrowMask(canvas, cells)
+    if (mask) {
+      drawBrowFill(canvas, mask, artwork.value, cells, operation.style, operation.color)
+    } else if (canvas === detailCanvases[DETAIL_LAYERS.BROW]) {
+      prepareBrowMask(cells).then(browMask => {
+        if (browMask && !isReplaying.value) {
+          redrawPaintLayer()
+        }
+      })
     }
-    
-    ctx.beginPath()
-    ctx.arc(x, y, brushSize.value / 2, 0, Math.PI * 2)
-    ctx.fill()
-    ctx.restore()
-    
-    // Mark that we've drawn on the canvas
-    hasDrawnOnCanvas.value = true
   }
 
+  // Stroke currently being drawn by the brush engine, its log entry, and the eye it started on
+  let activeStroke = null
+  let activeStrokeOperation = null
+  let activeStrokeStartTime = 0
+  let activeStrokeCell = null
+
   /**
-   * Draw a line between two positions for smooth drawing on the paint layer
+   * Add an operation to the log; a new action makes undone operations unreachable
    */
-  const drawLine = (x1, y1, x2, y2) => {
-    const ctx = paintContext.value
-    if (!ctx) return
+  const recordOperation = (operation) => {
+    drawLog.value = [...drawLog.value, operation]
+    redoLog.value = []
+    sceneVersion.value++
+  }
 
-    ctx.save()
-    
-    if (isErasing.value) {
-      // Erase mode - remove paint
-      ctx.globalCompositeOperation = 'destination-out'
-      ctx.globalAlpha = 1.0 // Full opacity for erasing
-    } else {
-      // Paint mode - add color
-      ctx.globalCompositeOperation = 'source-over'
-      ctx.globalAlpha = brushOpacity.value
-      ctx.strokeStyle = selectedColor.value.bgColor
+  /**
+   * Start a brush stroke for a logged stroke operation on each shown eye it belongs to
+   * Each eye gets its own brush stroke, clipped to its cell so the eyes don't paint over each other.
+   * @param {Object} operation - Stroke operation
+   * @param {HTMLCanvasElement} canvas - Canvas to paint on
+   * @param {Array} cells - Eye cells to paint in
+   * @returns {{ addPoint: Function, cancel: Function }} Stroke taking recorded points (eye coordinates)
+   */
+  const createOperationStroke = (operation, canvas, cells) => {
+    const strokes = cells
+      .filter(cell => operation.eyes.includes(cell.index))
+      .map(cell => {
+        const clipPaths = [createCellPath(cell)]
+        const zonePath = operation.clipZone ? getZonePath(operation.clipZone, cell) : null
+        if (zonePath) {
+          clipPaths.push(zonePath)
+        }
+        const size = operation.brush.size * getEyeUnitSize(artwork.value, cell)
+        return { cell, stroke: createBrushStroke(canvas, { ...operation.brush, size }, clipPaths) }
+      })
+
+    return {
+      addPoint: (point) => strokes.forEach(({ cell, stroke }) => {
+        const position = eyeToCanvas(artwork.value, cell, point.x, point.y)
+        stroke.addPoint(position.x, position.y, point.pressure)
+      }),
+      cancel: () => strokes.forEach(({ stroke }) => stroke.cancel())
+    }
+  }
+
+  /**
+   * Canvases of the paint layers a stroke paints on: its own layer, or every layer for an
+   * eraser or blend stroke that has none
+   * @param {Object} operation - Stroke operation
+   * @param {Object} layers - Layer canvases (see getLayerCanvases), with the stroke's layer in the stack
+   * @returns {Array<HTMLCanvasElement>} Layer canvases
+   */
+  const getStrokeLayerCanvases = (operation, layers) => {
+    const ids = operation.layer ? [operation.layer.id] : layers.paintLayers.layers.map(layer => layer.id)
+    return ids.map(id => getPaintLayerCanvas(layers, id))
+  }
+
+  /**
+   * Start a stroke for a logged stroke operation on its paint layers, adding its layer when it
+   * is new and compositing the paint canvas as points arrive
+   * @param {Object} operation - Stroke operation
+   * @param {Object} layers - Layer canvases to paint on, the on-screen layers by default
+   * @param {Array} cells - Eye cells to paint in, the current view's by default
+   * @returns {{ addPoint: Function, cancel: Function }} Stroke taking recorded points (eye
+   *   coordinates); cancelling also removes a layer the stroke added
+   */
+  const createPaintStroke = (operation, layers = getLayerCanvases(), cells = getCanvasEyeCells()) => {
+    const stack = layers.paintLayers
+    const layersBefore = stack.layers
+    stack.layers = applyPaintLayerOperation(layersBefore, operation, ZONE_LAYERS)
+    const strokes = getStrokeLayerCanvases(operation, layers).map(canvas => createOperationStroke(operation, canvas, cells))
+
+    return {
+      addPoint: (point) => {
+        strokes.forEach(stroke => stroke.addPoint(point))
+        compositePaint(layers)
+      },
+      cancel: () => {
+        strokes.forEach(stroke => stroke.cancel())
+        stack.layers = layersBefore
+        prunePaintLayerCanvases(stack)
+        compositePaint(layers)
+      }
+    }
+  }
+
+  /**
+   * Start a liner line for a logged liner operation
+   * The line is smoothed and redrawn whole as points arrive, over the liner layer as it was before it.
+   * @param {Object} operation - Liner operation
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on, the liner layer by default
+   * @param {Array} cells - Eye cells to draw in, the current view's by default
+   * @returns {{ addPoint: Function, cancel: Function }} Line taking recorded points (eye coordinates)
+   */
+  const createLinerStroke = (operation, canvas = detailCanvases[DETAIL_LAYERS.LINER], cells = getCanvasEyeCells()) => {
+    const ctx = canvas.getContext('2d')
+    const before = document.createElement('canvas')
+    before.width = canvas.width
+    before.height = canvas.height
+    before.getContext('2d').drawImage(canvas, 0, 0)
+
+    const points = []
+    const restore = () => {
+      ctx.clearRect(0, 0, canvas.width, canvas.height)
+      ctx.drawImage(before, 0, 0)
+    }
+
+    return {
+      addPoint: (point) => {
+        points.push(point)
+        restore()
+        renderLiner({ ...operation, points: smoothLinerPath(points) }, canvas, cells)
+      },
+      cancel: restore
+    }
+  }
+
+  /**
+   * Clear a set of layers: the detail layers are wiped and the paint layers removed
+   * @param {Object} layers - Layer canvases (see getLayerCanvases)
+   */
+  const clearLayers = (layers) => {
+    const { paintLayers: stack, ...canvases } = layers
+    if (stack) {
+      stack.layers = []
+      stack.canvases.clear()
+    }
+    Object.values(canvases).forEach(canvas => {
+      canvas?.getContext('2d').clearRect(0, 0, canvas.width, canvas.height)
+    })
+    compositePaint(layers)
+  }
+
+  /**
+   * Draw one logged operation on the layers it belongs to, without compositing the paint canvas
+   * Strokes and looks go on paint layers, liner, lashes and brow fill on their detail layers;
+   * operations for a detail layer that isn't in the set are skipped. The paint layer stack is
+   * updated as the operation describes (see eyeLayers.js applyPaintLayerOperation).
+   */
+  const drawOperation = (operation, layers, cells) => {
+    const stack = layers.paintLayers
+    const layersBefore = stack.layers
+    stack.layers = applyPaintLayerOperation(layersBefore, operation, ZONE_LAYERS)
+
+    if (operation.type === LOG_OPERATIONS.STROKE) {
+      getStrokeLayerCanvases(operation, layers).forEach(canvas => {
+        const stroke = createOperationStroke(operation, canvas, cells)
+        operation.points.forEach(point => stroke.addPoint(point))
+      })
+    } else if (operation.type === LOG_OPERATIONS.LOOK) {
+      renderLook(operation.assignments, layers, cells)
+    } else if (operation.type === LOG_OPERATIONS.MERGE_LAYERS) {
+      const source = layersBefore.find(layer => layer.id === operation.source)
+      const target = layersBefore.find(layer => layer.id === operation.target)
+      if (source && stack.layers !== layersBefore) {
+        mergePaintLayerCanvas(
+          getPaintLayerCanvas(layers, operation.target),
+          getPaintLayerCanvas(layers, operation.source),
+          target,
+          source
+        )
+      }
+    } else if (operation.type === LOG_OPERATIONS.LINER) {
+      if (layers[DETAIL_LAYERS.LINER]) renderLiner(operation, layers[DETAIL_LAYERS.LINER], cells)
+    } else if (operation.type === LOG_OPERATIONS.LASHES) {
+      if (layers[DETAIL_LAYERS.LASHES]) renderLashes(operation, layers[DETAIL_LAYERS.LASHES], cells)
+    } else if (operation.type === LOG_OPERATIONS.BROW) {
+      if (layers[DETAIL_LAYERS.BROW]) renderBrowFill(operation, layers[DETAIL_LAYERS.BROW], cells)
+    } else if (operation.type === LOG_OPERATIONS.CLEAR) {
+      clearLayers(layers)
     }
+    prunePaintLayerCanvases(stack)
+  }
+
+  /**
+   * Draw one logged operation on the layers it belongs to and composite the paint canvas
+   * @param {Object} operation - Logged operation
+   * @param {Object} layers - Layer canvases (see getLayerCanvases), the on-screen layers by default
+   * @param {Array} cells - Eye cells to draw in, the current view's by default
+   */
+  const renderOperation = (operation, layers = getLayerCanvases(), cells = getCanvasEyeCells()) => {
+    drawOperation(operation, layers, cells)
+    compositePaint(layers)
+  }
+
+  /**
+   * Draw logged operations in order, compositing the paint canvas once at the end
+   * @param {Array} operations - Logged operations
+   * @param {Object} layers - Layer canvases (see getLayerCanvases), the on-screen layers by default
+   * @param {Array} cells - Eye cells to draw in, the current view's by default
+   */
+  const renderOperations = (operations, layers = getLayerCanvases(), cells = getCanvasEyeCells()) => {
+    operations.forEach(operation => drawOperation(operation, layers, cells))
+    compositePaint(layers)
+  }
+
+  /**
+   * Re-render the paint and detail layers from the log, e.g. after undo or a canvas resize
+   * Only operations after the last clear can affect the result, so earlier ones are skipped.
+   */
+  const redrawPaintLayer = () => {
+    if (!paintContext.value || !paintCanvasRef.value) return
+
+    paintLayerPreview = null
+    const layers = getLayerCanvases()
+    clearLayers(layers)
+    renderOperations(getVisibleOperations(drawLog.value), layers)
+    sceneVersion.value++
+  }
+
+  /**
+   * Start drawing at pointer position
+   * @param {number} x - Canvas x
+   * @param {number} y - Canvas y
+   * @param {number} pressure - Pen pressure 0..1 (1 for mouse and touch)
+   * @param {number} time - Event time in ms
+   */
+  const startDrawing = (x, y, pressure = 1, time = performance.now()) => {
+    if (!paintContext.value || isReplaying.value) return
+    if (brushTool.value === BRUSH_TOOLS.PAINT && !selectedColor.value) return // Need color for painting, but not for erasing or blending
+    if (brushTool.value === LINER_TOOL && !detailCanvases[DETAIL_LAYERS.LINER]) return
     
-    ctx.lineWidth = brushSize.value
-    ctx.lineCap = 'round'
-    ctx.lineJoin = 'round'
-    ctx.beginPath()
-    ctx.moveTo(x1, y1)
-    ctx.lineTo(x2, y2)
-    ctx.stroke()
-    ctx.restore()
+    const cells = getCanvasEyeCells()
+    activeStrokeCell = findEyeCell(cells, x)
+    // Mirrored strokes go on both eyes, even when only one is shown
+    const eyes = mirrorStrokes.value ? [0, 1] : [activeStrokeCell.index]
+
+    isDrawing.value = true
+    activeStrokeStartTime = time
+    if (brushTool.value === LINER_TOOL) {
+      const taper = LINER_TAPER_INFO[linerTaper.value]
+      activeStrokeOperation = createLinerOperation({
+        color: linerColor.value,
+        width: linerWidth.value,
+        taper: { start: taper.start, end: taper.end },
+        preset: null
+      }, eyes)
+      activeStroke = createLinerStroke(activeStrokeOperation)
+      continueDrawing(x, y, pressure, time)
+      return
+    }
+
+    // Paint goes on the picked layer, or the color's own; eraser and blend work on the picked layer, or all of them
+    const targetLayer = targetPaintLayer.value
+      ? { id: targetPaintLayer.value.id, name: targetPaintLayer.value.name, swatch: targetPaintLayer.value.swatch }
+      : brushTool.value === BRUSH_TOOLS.PAINT
+        ? getColorLayer(selectedColor.value)
+        : null
+    activeStrokeOperation = createStrokeOperation({
+      tool: brushTool.value,
+      color: selectedColor.value,
+      size: brushSize.value,
+      hardness: brushHardness.value,
+      flow: brushFlow.value,
+      opacity: brushOpacity.value,
+      spacing: brushSpacing.value,
+      pressureSize: pressureAffectsSize.value,
+      pressureOpacity: pressureAffectsOpacity.value
+    }, clipToZone.value ? activeZone.value : null, eyes, targetLayer)
+    activeStroke = createPaintStroke(activeStrokeOperation)
+    continueDrawing(x, y, pressure, time)
+  }
+
+  /**
+   * Continue drawing as the pointer moves
+   */
+  const continueDrawing = (x, y, pressure = 1, time = performance.now()) => {
+    if (!isDrawing.value || !activeStroke) return
     
-    // Mark that we've drawn on the canvas
-    hasDrawnOnCanvas.value = true
+    const position = canvasToEye(artwork.value, activeStrokeCell, x, y)
+    const point = { ...position, pressure, time: Math.max(0, time - activeStrokeStartTime) }
+    activeStrokeOperation.points.push(point)
+    activeStroke.addPoint(point)
   }
 
+  /**
+   * Stop drawing and record the stroke for undo
+   */
+  const stopDrawing = () => {
+    if (isDrawing.value) {
+      isDrawing.value = false
+      // Liner is kept as the smoothed vector path that is on screen, not the raw pointer samples
+      if (activeStrokeOperation.type === LOG_OPERATIONS.LINER) {
+        activeStrokeOperation.points = smoothLinerPath(activeStrokeOperation.points)
+      }
+      recordOperation(activeStrokeOperation)
+      activeStroke = null
+      activeStrokeOperation = null
+    }
+  }
+
+  /**
+   * Abandon the stroke in progress, leaving the paint layer as it was before it
+   * Used when a stroke turns out to be unwanted input, e.g. a palm touching before the pen
+   */
+  const cancelDrawing = () => {
+    if (!isDrawing.value) return
+    
+    isDrawing.value = false
+    activeStroke.cancel()
+    activeStroke = null
+    activeStrokeOperation = null
+  }
 
   /**
-   * Clear all paint from the paint layer (erasable layer)
+   * Clear all paint from the paint layer (erasable layer), and the liner, lashes and brow fill
+   * Clearing is logged like any other action, so it can be undone.
    */
   const clearAllColors = async () => {
     console.log('clearAllColors called')
@@ -383,14 +1142,12 @@ export function useEyeDrawing() {
       console.error('No paint layer context available for clearing')
       return
     }
+    if (!hasAnyColors.value || isReplaying.value) return
     
     console.log('Clearing paint layer')
-    // Clear only the paint layer - eye layer and skin tone remain intact
-    const canvas = paintCanvasRef.value
-    ctx.clearRect(0, 0, canvas.width, canvas.height)
-    
-    // Reset the drawn state
-    hasDrawnOnCanvas.value = false
+    // Clear only the paint and detail layers - eye layer and skin tone remain intact
+    clearLayers(getLayerCanvases())
+    recordOperation(createClearOperation())
     
     console.log('Paint layer cleared successfully')
   }
@@ -399,38 +1156,314 @@ export function useEyeDrawing() {
    * Check if there are any colors applied
    */
   const hasAnyColors = computed(() => {
-    // Use the reactive flag instead of comparing image data
-    return hasDrawnOnCanvas.value
+    // Anything logged since the last clear is on the canvas
+    return getVisibleOperations(drawLog.value).length > 0
   })
 
   /**
-   * Update skin tone (background will update via reactive CSS)
+   * Draw a preset liner line on both eyes, along the lash line of the eye shape
+   * @param {string} preset - Liner preset (see eyeDetails.js LINER_PRESETS)
+   */
+  const applyLinerPreset = (preset) => {
+    const info = LINER_PRESET_INFO[preset]
+    if (!info || !detailCanvases[DETAIL_LAYERS.LINER] || isReplaying.value || isDrawing.value) return
+
+    const operation = createLinerOperation({
+      color: linerColor.value,
+      width: info.width,
+      taper: { ...info.taper },
+      preset
+    }, [0, 1])
+    renderOperation(operation)
+    recordOperation(operation)
+  }
+
+  /**
+   * Show a lash style on both eyes, or remove the lashes
+   * @param {string|null} style - Lash style (see eyeDetails.js LASH_STYLES), or null for none
+   * @param {number} density - Share of the style's full lash count, the current density by default
+   */
+  const setLashes = (style, density = lashes.value.density) => {
+    if (!detailCanvases[DETAIL_LAYERS.LASHES] || isReplaying.value || isDrawing.value) return
+    if (style === lashes.value.style && density === lashes.value.density) return
+
+    const operation = createLashesOperation(style, density)
+    renderOperation(operation)
+    recordOperation(operation)
+  }
+
+  /**
+   * Fill the brows, or remove the fill
+   * @param {string|null} style - Brow fill style (see eyeDetails.js BROW_FILL_STYLES), or null for none
+   * @param {string} color - Fill color, the current fill color by default
+   */
+  const setBrowFill = async (style, color = browFill.value.color) => {
+    if (!detailCanvases[DETAIL_LAYERS.BROW] || isReplaying.value || isDrawing.value) return
+    if (style === browFill.value.style && color === browFill.value.color) return
+
+    const operation = createBrowOperation(style, color)
+    if (style) {
+      await prepareBrowMask(getCanvasEyeCells())
+    }
+    renderOperation(operation)
+    recordOperation(operation)
+  }
+
+  /**
+   * Include or leave out a detail layer when the look is shared or exported
+   * @param {string} layer - Detail layer (see eyeDetails.js DETAIL_LAYERS)
+   */
+  const toggleExportDetailLayer = (layer) => {
+    exportDetailLayers.value = exportDetailLayers.value.includes(layer)
+      ? exportDetailLayers.value.filter(included => included !== layer)
+      : [...exportDetailLayers.value, layer]
+  }
+
+  /**
+   * Pick the paint layer strokes go into
+   * @param {string|null} layerId - Paint layer ID, or null to paint each color on its own layer
+   */
+  const setTargetPaintLayer = (layerId) => {
+    targetPaintLayerId.value = layerId
+  }
+
+  /**
+   * Change a paint layer's settings as one undoable step
+   * @param {string} layerId - Paint layer ID
+   * @param {Object} changes - Any of { visible, opacity, blendMode }
+   */
+  const updatePaintLayer = (layerId, changes) => {
+    paintLayerPreview = null
+    const layer = paintLayers.value.find(paintLayer => paintLayer.id === layerId)
+    if (!layer || isReplaying.value || isDrawing.value) {
+      compositePaint(getLayerCanvases())
+      return
+    }
+    if (Object.entries(changes).every(([key, value]) => layer[key] === value)) {
+      compositePaint(getLayerCanvases())
+      return
+    }
+
+    const operation = createPaintLayerOperation(layerId, changes)
+    renderOperation(operation)
+    recordOperation(operation)
+  }
+
+  /**
+   * Show or hide a paint layer
+   * @param {string} layerId - Paint layer ID
+   */
+  const togglePaintLayerVisibility = (layerId) => {
+    const layer = paintLayers.value.find(paintLayer => paintLayer.id === layerId)
+    if (layer) {
+      updatePaintLayer(layerId, { visible: !layer.visible })
+    }
+  }
+
+  /**
+   * Show a paint layer's opacity on screen without logging it, e.g. while a slider is dragged;
+   * setPaintLayerOpacity commits it
+   * @param {string} layerId - Paint layer ID
+   * @param {number} opacity - Opacity 0..1
+   */
+  const previewPaintLayerOpacity = (layerId, opacity) => {
+    if (!paintCanvasRef.value || isReplaying.value) return
+
+    paintLayerPreview = { layer: layerId, changes: { opacity } }
+    compositePaint(getLayerCanvases())
+  }
+
+  /**
+   * Set a paint layer's opacity
+   * @param {string} layerId - Paint layer ID
+   * @param {number} opacity - Opacity 0..1
+   */
+  const setPaintLayerOpacity = (layerId, opacity) => {
+    updatePaintLayer(layerId, { opacity: Math.min(1, Math.max(0, opacity)) })
+  }
+
+  /**
+   * Set how a paint layer blends with what is under it
+   * @param {string} layerId - Paint layer ID
+   * @param {string} blendMode - Blend mode (see eyeLayers.js BLEND_MODES)
+   */
+  const setPaintLayerBlendMode = (layerId, blendMode) => {
+    updatePaintLayer(layerId, { blendMode })
+  }
+
+  /**
+   * Move a paint layer one step up or down the stack
+   * @param {string} layerId - Paint layer ID
+   * @param {number} direction - 1 to move it up (over the layer above), -1 to move it down
+   */
+  const movePaintLayer = (layerId, direction) => {
+    if (isReplaying.value || isDrawing.value) return
+
+    const order = paintLayers.value.map(layer => layer.id)
+    const index = order.indexOf(layerId)
+    const newIndex = index + direction
+    if (index === -1 || newIndex < 0 || newIndex >= order.length) return
+
+    order.splice(index, 1)
+    order.splice(newIndex, 0, layerId)
+    const operation = createLayerOrderOperation(order)
+    renderOperation(operation)
+    recordOperation(operation)
+  }
+
+  /**
+   * Merge a paint layer into the layer under it, keeping the eye as it looks now
+   * Only visible Normal layers merge (see eyeLayers.js canMergePaintLayers); the merged layer
+   * keeps the lower layer's name and shows at full opacity.
+   * @param {string} layerId - Paint layer ID
+   */
+  const mergePaintLayerDown = (layerId) => {
+    if (isReplaying.value || isDrawing.value) return
+
+    const index = paintLayers.value.findIndex(layer => layer.id === layerId)
+    if (index <= 0 || !canMergePaintLayers(paintLayers.value[index], paintLayers.value[index - 1])) return
+
+    const operation = createMergeLayersOperation(layerId, paintLayers.value[index - 1].id)
+    renderOperation(operation)
+    recordOperation(operation)
+  }
+
+  /**
+   * Remember the appearance the user picked for next time
+   */
+  const persistAppearance = () => {
+    saveAppearance(getAppearance())
+  }
+
+  /**
+   * Redraw the eye layer after an appearance change
+   */
+  const refreshEyeLayer = async () => {
+    if (eyeContext.value) {
+      await drawEyeLayer()
+    }
+  }
+
+  /**
+   * Update skin tone
+   * The background updates via reactive CSS; the eye layer is redrawn for the matching shading.
+   * @param {string} color - Skin color
    */
   const setSkinTone = async (color) => {
     skinTone.value = color
-    // Skin tone is handled by the container background CSS
-    console.log('Skin tone updated to:', color)
+    persistAppearance()
+    // Paint layers are composited over the skin, so blend modes follow it
+    compositePaint(getLayerCanvases())
+    await refreshEyeLayer()
+  }
+
+  /**
+   * Update the skin undertone and redraw the skin shading
+   * @param {string} value - Undertone (see eyeAppearance.js UNDERTONES)
+   */
+  const setUndertone = async (value) => {
+    undertone.value = value
+    persistAppearance()
+    await refreshEyeLayer()
   }
 
   /**
    * Update eye color and redraw eye layer
+   * @param {string} color - Iris color
    */
   const setEyeColor = async (color) => {
     eyeColor.value = color
-    if (eyeContext.value) {
-      await drawEyeLayer()
-    }
+    persistAppearance()
+    await refreshEyeLayer()
   }
 
   /**
-   * Create a composite canvas with background + paint + eye layers for export/sharing
+   * Update brow color and redraw eye layer
+   * @param {string} color - Brow color
+   */
+  const setBrowColor = async (color) => {
+    browColor.value = color
+    persistAppearance()
+    await refreshEyeLayer()
+  }
+
+  /**
+   * Swap the eye artwork (eye shape)
+   * Paint is kept: the layer is re-rendered from the log, so zone fills follow the new shape's zones.
+   * @param {string} artworkId - Artwork ID (see data/eyeArtworks.json)
+   */
+  const setArtwork = async (artworkId) => {
+    const nextArtwork = getArtworkById(artworkId)
+    if (nextArtwork.id === artwork.value.id || isReplaying.value) return
+
+    artwork.value = nextArtwork
+    if (!eyeContext.value) return
+
+    await drawEyeLayer()
+    redrawPaintLayer()
+    drawZoneOverlay()
+    // Cache the other eye colors for the new shape in the background
+    setTimeout(() => {
+      preCacheEyeColors()
+    }, 100)
+  }
+
+  /**
+   * Show one eye or both eyes
+   * The paint layer is re-rendered from the log, so strokes reappear on the eyes they belong to.
+   * @param {string} view - Eye view (see EYE_VIEWS)
+   */
+  const setEyeView = async (view) => {
+    if (view === eyeView.value || isReplaying.value || isDrawing.value) return
+
+    eyeView.value = view
+    if (!eyeContext.value) return
+
+    await drawEyeLayer()
+    redrawPaintLayer()
+    drawZoneOverlay()
+  }
+
+  /**
+   * Toggle drawing strokes on both eyes at once
+   */
+  const toggleMirrorStrokes = () => {
+    mirrorStrokes.value = !mirrorStrokes.value
+  }
+
+  /**
+   * Zoom and pan the canvas
+   * Every layer is re-rendered for the new view at full resolution; strokes are logged in
+   * eye coordinates, so they land in the same place on the eye at any zoom.
+   * @param {Object} view - { zoom, x, y } (see eyeArtwork.js FIT_VIEW)
+   * @returns {Promise<boolean>} False when the view can't change now (while drawing or replaying)
+   */
+  const setCanvasView = async (view) => {
+    if (isDrawing.value || isReplaying.value) return false
+
+    canvasView.value = { ...view }
+    if (!eyeContext.value) return true
+
+    await drawEyeLayer()
+    redrawPaintLayer()
+    drawZoneOverlay()
+    return true
+  }
+
+  /**
+   * Create a composite canvas with background + paint + eye + detail layers for export/sharing
+   * The paint canvas holds the paint layers as they show, composited over the skin with their
+   * visibility, opacity and blend modes. Finish textures (shimmer sheen, glitter) are drawn into
+   * the paint layers, so they carry over, and in the both-eyes view the layers already hold both eyes
    * @param {HTMLCanvasElement} paintCanvasEl - Paint canvas element
    * @param {HTMLCanvasElement} eyeCanvasEl - Eye canvas element
+   * @param {HTMLCanvasElement} composite - Canvas to draw into (a new one by default), e.g. a canvas being recorded
+   * @param {Array<HTMLCanvasElement>} detailCanvasEls - Detail layers to draw over the eye, bottom
+   *   first; every on-screen detail layer by default (see getDetailCanvases)
    * @returns {HTMLCanvasElement} Composite canvas with all layers combined
    */
-  const createCompositeCanvas = (paintCanvasEl, eyeCanvasEl) => {
-    // Create output canvas with same dimensions as paint canvas
-    const composite = document.createElement('canvas')
+  const createCompositeCanvas = (paintCanvasEl, eyeCanvasEl, composite = document.createElement('canvas'), detailCanvasEls = getDetailCanvases()) => {
+    // Size output canvas to the paint canvas
     composite.width = paintCanvasEl.width
     composite.height = paintCanvasEl.height
     const ctx = composite.getContext('2d')
@@ -449,174 +1482,322 @@ export function useEyeDrawing() {
       ctx.drawImage(eyeCanvasEl, 0, 0)
     }
 
+    // 4. Draw liner, lashes and brow fill over the eye
+    detailCanvasEls.forEach(detailCanvas => ctx.drawImage(detailCanvas, 0, 0))
+
     return composite
   }
 
   /**
-   * Toggle eraser mode on/off
+   * Create a composite of the whole look with the view fitted, whatever the current zoom
+   * Used for exports and thumbnails, which should always show the whole eye view.
+   * @param {Object} options - Output options
+   * @param {number} options.width - Output width, the canvas width by default
+   * @param {number} options.height - Output height, the canvas height by default
+   * @param {Array<string>} options.detailLayers - Detail layers to include, all by default
+   * @returns {Promise<HTMLCanvasElement|null>} Composite canvas, or null before the canvas is ready
    */
-  const toggleEraser = () => {
-    isErasing.value = !isErasing.value
-    console.log('Eraser mode:', isErasing.value ? 'ON' : 'OFF')
+  const createFitCompositeCanvas = async ({
+    width = paintCanvasRef.value?.width,
+    height = paintCanvasRef.value?.height,
+    detailLayers = DETAIL_LAYER_ORDER
+  } = {}) => {
+    const paintCanvas = paintCanvasRef.value
+    if (!paintCanvas || !eyeCanvasRef.value) return null
+
+    const isFitted = canvasView.value.zoom === FIT_VIEW.zoom
+    if (isFitted && width === paintCanvas.width && height === paintCanvas.height) {
+      return createCompositeCanvas(paintCanvas, eyeCanvasRef.value, undefined, getDetailCanvases(detailLayers))
+    }
+
+    const cells = getEyeCells(eyeView.value, width, height)
+    if (browFill.value.style && detailLayers.includes(DETAIL_LAYERS.BROW)) {
+      await prepareBrowMask(cells)
+    }
+    const layers = createLayerCanvases(width, height)
+    renderOperations(getVisibleOperations(drawLog.value), layers, cells)
+
+    const eyeLayerCanvas = document.createElement('canvas')
+    eyeLayerCanvas.width = width
+    eyeLayerCanvas.height = height
+    const eyeRender = await cacheEyeLayer(getAppearance(), cells[0].width, cells[0].height)
+    if (eyeRender) {
+      drawEyeCells(eyeLayerCanvas.getContext('2d'), eyeRender, cells)
+    }
+
+    return createCompositeCanvas(layers.paint, eyeLayerCanvas, undefined, getDetailCanvases(detailLayers, layers))
   }
 
   /**
-   * Set eraser mode explicitly
+   * Paint the look's reflectance into a canvas the size of the paint layer, for lighting
+   * (see eyeLighting.js). The log is re-rendered with every color replaced by the gray of its
+   * finish over skin-gray, and the eye and details cover the paint under them like they do on screen.
+   * Paint layers keep their visibility and opacity; blend modes change a color, not how much
+   * light its finish reflects, so they are left out.
+   * @returns {HTMLCanvasElement|null} Reflectance map, or null before the canvas is ready
    */
-  const setEraserMode = (enabled) => {
-    isErasing.value = enabled
+  const createReflectanceCanvas = () => {
+    const paintCanvas = paintCanvasRef.value
+    if (!paintCanvas) return null
+
+    const reflectance = document.createElement('canvas')
+    reflectance.width = paintCanvas.width
+    reflectance.height = paintCanvas.height
+    const layers = {
+      paint: reflectance,
+      paintLayers: createPaintLayerStack({ backdrop: SKIN_REFLECTANCE_COLOR, blendModes: false })
+    }
+    renderOperations(getVisibleOperations(drawLog.value).map(toReflectanceOperation), layers)
+    const ctx = reflectance.getContext('2d')
+
+    // The eye and detail layers' shapes in skin-gray, so only the visible paint reflects
+    const coveringLayers = [eyeCanvasRef.value, ...getDetailCanvases()].filter(Boolean)
+    coveringLayers.forEach(layer => {
+      const shape = document.createElement('canvas')
+      shape.width = reflectance.width
+      shape.height = reflectance.height
+      const shapeCtx = shape.getContext('2d')
+      shapeCtx.drawImage(layer, 0, 0)
+      shapeCtx.globalCompositeOperation = 'source-in'
+      shapeCtx.fillStyle = SKIN_REFLECTANCE_COLOR
+      shapeCtx.fillRect(0, 0, shape.width, shape.height)
+      ctx.drawImage(shape, 0, 0)
+    })
+
+    return reflectance
   }
 
   /**
-   * Create compressed canvas state using reduced resolution
+   * A logged operation with its colors swapped for reflectance grays
    */
-  const createCompressedState = () => {
-    const ctx = paintContext.value
-    const canvas = paintCanvasRef.value
-    if (!ctx || !canvas) return null
-    
-    // Use reduced resolution for undo data (1/4 the original size)
-    const scale = 0.5
-    const compressedWidth = Math.max(1, Math.floor(canvas.width * scale))
-    const compressedHeight = Math.max(1, Math.floor(canvas.height * scale))
-    
-    // Create temporary canvas at reduced size
-    const tempCanvas = document.createElement('canvas')
-    tempCanvas.width = compressedWidth
-    tempCanvas.height = compressedHeight
-    const tempCtx = tempCanvas.getContext('2d')
-    
-    // Draw scaled down version (preserve transparency)
-    tempCtx.drawImage(canvas, 0, 0, compressedWidth, compressedHeight)
-    
-    // Convert to PNG data URL (preserves transparency)
-    return {
-      dataURL: tempCanvas.toDataURL('image/png'),
-      originalWidth: canvas.width,
-      originalHeight: canvas.height,
-      scale: scale
+  const toReflectanceOperation = (operation) => {
+    if (operation.type === LOG_OPERATIONS.STROKE) {
+      return { ...operation, brush: { ...operation.brush, color: getReflectanceColor(operation.brush.color) } }
+    }
+    if (operation.type === LOG_OPERATIONS.LOOK) {
+      const assignments = Object.fromEntries(
+        Object.entries(operation.assignments).map(([zone, color]) => [zone, getReflectanceColor(color)])
+      )
+      return { ...operation, assignments }
     }
+    return operation
   }
 
   /**
-   * Restore canvas from compressed state
+   * Toggle eraser mode on/off
    */
-  const restoreFromCompressedState = (compressedState) => {
-    return new Promise((resolve) => {
-      if (!compressedState) {
-        resolve(false)
-        return
-      }
-      
-      const ctx = paintContext.value
-      const canvas = paintCanvasRef.value
-      if (!ctx || !canvas) {
-        resolve(false)
-        return
-      }
-      
-      const img = new Image()
-      img.onload = () => {
-        // Clear canvas
-        ctx.clearRect(0, 0, canvas.width, canvas.height)
-        // Draw scaled up image
-        ctx.drawImage(img, 0, 0, canvas.width, canvas.height)
-        resolve(true)
-      }
-      img.onerror = () => resolve(false)
-      img.src = compressedState.dataURL
-    })
+  const toggleEraser = () => {
+    setEraserMode(!isErasing.value)
+    console.log('Eraser mode:', isErasing.value ? 'ON' : 'OFF')
   }
 
   /**
-   * Initialize base state for comparison
+   * Set eraser mode explicitly
    */
-  const initializeBaseState = () => {
-    baseState.value = createCompressedState()
+  const setEraserMode = (enabled) => {
+    brushTool.value = enabled ? BRUSH_TOOLS.ERASE : BRUSH_TOOLS.PAINT
   }
 
   /**
-   * Save current canvas state to undo history - Memory optimized
+   * Select the brush tool (paint, erase or blend)
    */
-  const saveStateToUndoHistory = () => {
-    const compressedState = createCompressedState()
-    if (!compressedState) return
-    
-    undoHistory.value.push(compressedState)
-    
-    // Limit history size to prevent memory issues
-    if (undoHistory.value.length > maxUndoSteps) {
-      undoHistory.value.shift() // Remove oldest state
-    }
+  const setBrushTool = (tool) => {
+    brushTool.value = tool
   }
 
   /**
-   * Undo the last drawing action - Memory optimized
+   * Undo the last drawing action
    */
   const undoLastAction = async () => {
-    if (undoHistory.value.length <= 1) return // Keep at least base state
-    
-    // Save current state to redo history before undoing
-    const currentState = createCompressedState()
-    if (currentState) {
-      redoHistory.value.push(currentState)
-      
-      // Limit redo history size
-      if (redoHistory.value.length > maxUndoSteps) {
-        redoHistory.value.shift()
-      }
-    }
+    if (drawLog.value.length === 0 || isDrawing.value || isReplaying.value) return
     
-    // Remove current state from undo history
-    undoHistory.value.pop()
-    
-    // Restore previous state
-    const previousState = undoHistory.value[undoHistory.value.length - 1]
-    if (previousState) {
-      await restoreFromCompressedState(previousState)
-      
-      // Update drawn state based on whether we're back to base state
-      hasDrawnOnCanvas.value = undoHistory.value.length > 1
-    }
+    const operation = drawLog.value[drawLog.value.length - 1]
+    drawLog.value = drawLog.value.slice(0, -1)
+    redoLog.value = [...redoLog.value, operation]
+    redrawPaintLayer()
   }
 
   /**
-   * Redo the last undone action - Memory optimized
+   * Redo the last undone action
    */
   const redoLastAction = async () => {
-    if (redoHistory.value.length === 0) return
+    if (redoLog.value.length === 0 || isDrawing.value || isReplaying.value) return
     
-    // Get the state to redo
-    const stateToRedo = redoHistory.value.pop()
-    if (stateToRedo) {
-      // Add current state to undo history
-      const currentState = createCompressedState()
-      if (currentState) {
-        undoHistory.value.push(currentState)
-      }
-      
-      // Restore the redone state
-      await restoreFromCompressedState(stateToRedo)
-      
-      // Update drawn state
-      hasDrawnOnCanvas.value = undoHistory.value.length > 1
+    const operation = redoLog.value[redoLog.value.length - 1]
+    redoLog.value = redoLog.value.slice(0, -1)
+    drawLog.value = [...drawLog.value, operation]
+    if (operation.type === LOG_OPERATIONS.BROW && operation.style) {
+      await prepareBrowMask(getCanvasEyeCells())
     }
+    // Redone operations draw on top of the current state, no full re-render needed
+    renderOperation(operation)
+    sceneVersion.value++
   }
 
   /**
    * Check if undo is available
    */
   const canUndo = computed(() => {
-    return undoHistory.value.length > 1 // More than just the base state
+    return drawLog.value.length > 0
   })
 
   /**
    * Check if redo is available
    */
   const canRedo = computed(() => {
-    return redoHistory.value.length > 0
+    return redoLog.value.length > 0
   })
 
+  /**
+   * Snapshot of the look on the canvas, for saving it with a palette
+   * @returns {Object} { operations, skinTone, undertone, eyeColor, browColor, artworkId, eyeView }
+   */
+  const getDrawingState = () => {
+    return {
+      operations: getVisibleOperations(drawLog.value),
+      skinTone: skinTone.value,
+      undertone: undertone.value,
+      eyeColor: eyeColor.value,
+      browColor: browColor.value,
+      artworkId: artwork.value.id,
+      eyeView: eyeView.value
+    }
+  }
+
+  /**
+   * Convert a stroke recorded in canvas pixels (looks saved before eye coordinates) to eye coordinates
+   * Such strokes were always drawn on a single eye.
+   * @param {Object} operation - Logged operation
+   * @param {Object} savedArtwork - Artwork the look was painted on
+   * @returns {Object} Operation in the current log format
+   */
+  const upgradeOperation = (operation, savedArtwork) => {
+    if (operation.type !== LOG_OPERATIONS.STROKE) return operation
+    if (operation.eyes) return upgradeStrokeLayer(operation)
+
+    const [cell] = getEyeCells(EYE_VIEWS.SINGLE, operation.width, operation.height)
+    const unit = getEyeUnitSize(savedArtwork, cell)
+    const { width, height, ...stroke } = operation
+    return upgradeStrokeLayer({
+      ...stroke,
+      brush: { ...operation.brush, size: operation.brush.size / unit },
+      eyes: [0],
+      points: operation.points.map(point => ({
+        ...point,
+        ...canvasToEye(savedArtwork, cell, point.x, point.y)
+      }))
+    })
+  }
+
+  /**
+   * Put a stroke saved before paint layers on its color's layer, as new strokes are by default
+   * Eraser and blend strokes of that time worked on all the paint.
+   */
+  const upgradeStrokeLayer = (operation) => {
+    if (operation.layer !== undefined) return operation
+
+    const { color, tool } = operation.brush
+    return { ...operation, layer: tool === BRUSH_TOOLS.PAINT && color ? getColorLayer(color) : null }
+  }
+
+  /**
+   * Open a saved look for further editing
+   * The saved operations become the drawing log, so the look can be undone step by step.
+   * The look's appearance is shown without replacing the user's saved appearance.
+   * @param {Object} state - Drawing state as returned by getDrawingState
+   */
+  const loadDrawing = async (state) => {
+    if (isReplaying.value) {
+      stopReplay()
+    }
+    // Looks saved before eye shapes existed were painted on the default artwork
+    artwork.value = getArtworkById(state.artworkId || DEFAULT_ARTWORK_ID)
+    eyeView.value = state.eyeView || EYE_VIEWS.SINGLE
+    drawLog.value = (state.operations || []).map(operation => upgradeOperation(operation, artwork.value))
+    redoLog.value = []
+    skinTone.value = state.skinTone || skinTone.value
+    undertone.value = state.undertone || undertone.value
+    eyeColor.value = state.eyeColor || eyeColor.value
+    browColor.value = state.browColor || browColor.value
+    await refreshEyeLayer()
+    redrawPaintLayer()
+    drawZoneOverlay()
+  }
+
+  // Replay animation state
+  let replayFrameId = null
+  let finishReplay = null
+
+  /**
+   * Animate the look being painted, stroke by stroke, from the log
+   * The paint layer ends up exactly as before the replay.
+   * @param {Object} options - Replay options
+   * @param {number} options.speed - Playback speed multiplier
+   * @param {Function} options.onFrame - Called after each animation frame is drawn
+   * @returns {Promise<boolean>} Resolves true when the replay ran to the end, false when stopped
+   */
+  const replayDrawing = ({ speed = 1, onFrame } = {}) => {
+    const canvas = paintCanvasRef.value
+    if (!canvas || isReplaying.value || isDrawing.value) return Promise.resolve(false)
+
+    const { steps, duration } = buildReplayTimeline(getVisibleOperations(drawLog.value))
+    isReplaying.value = true
+    clearLayers(getLayerCanvases())
+
+    let stepIndex = 0
+    let startTime = null
+    let replayStroke = null
+
+    const applyStep = ({ operation, pointIndex }) => {
+      if (operation.type !== LOG_OPERATIONS.STROKE) {
+        renderOperation(operation)
+        return
+      }
+      if (pointIndex === 0) {
+        replayStroke = createPaintStroke(operation)
+      }
+      replayStroke.addPoint(operation.points[pointIndex])
+    }
+
+    return new Promise((resolve) => {
+      finishReplay = (completed) => {
+        cancelAnimationFrame(replayFrameId)
+        replayFrameId = null
+        finishReplay = null
+        isReplaying.value = false
+        redrawPaintLayer()
+        onFrame?.()
+        resolve(completed)
+      }
+
+      const frame = (now) => {
+        if (startTime === null) startTime = now
+        const elapsed = (now - startTime) * speed
+
+        while (stepIndex < steps.length && steps[stepIndex].at <= elapsed) {
+          applyStep(steps[stepIndex])
+          stepIndex++
+        }
+        onFrame?.()
+
+        if (stepIndex >= steps.length && elapsed >= duration) {
+          finishReplay(true)
+          return
+        }
+        replayFrameId = requestAnimationFrame(frame)
+      }
+
+      replayFrameId = requestAnimationFrame(frame)
+    })
+  }
+
+  /**
+   * Stop a running replay and show the finished look
+   */
+  const stopReplay = () => {
+    finishReplay?.(false)
+  }
+
   return {
     // Refs
     canvasRef,
@@ -629,9 +1810,35 @@ export function useEyeDrawing() {
     selectedColor,
     brushSize,
     brushOpacity,
+    brushHardness,
+    brushFlow,
+    brushSpacing,
+    brushTool,
+    pressureAffectsSize,
+    pressureAffectsOpacity,
     isErasing,
     skinTone,
+    undertone,
     eyeColor,
+    browColor,
+    artwork,
+    activeZone,
+    clipToZone,
+    showZoneOverlay,
+    eyeView,
+    mirrorStrokes,
+    canvasView,
+    linerColor,
+    linerWidth,
+    linerTaper,
+    exportDetailLayers,
+    lookAssignments,
+    lashes,
+    browFill,
+    isReplaying,
+    sceneVersion,
+    paintLayers,
+    targetPaintLayer,
     
     // Computed
     hasAnyColors,
@@ -646,13 +1853,47 @@ export function useEyeDrawing() {
     startDrawing,
     continueDrawing,
     stopDrawing,
+    cancelDrawing,
     clearAllColors,
     setSkinTone,
+    setUndertone,
     setEyeColor,
+    setBrowColor,
+    setArtwork,
+    setEyeView,
+    toggleMirrorStrokes,
+    setCanvasView,
     createCompositeCanvas,
+    createFitCompositeCanvas,
+    getDetailCanvases,
+    createReflectanceCanvas,
+    getCanvasEyeCells,
     toggleEraser,
     setEraserMode,
+    setBrushTool,
+    setActiveZone,
+    toggleZoneClip,
+    toggleZoneOverlay,
+    drawZoneOverlay,
+    paintZoneColors,
+    setZoneColor,
+    applyLinerPreset,
+    setLashes,
+    setBrowFill,
+    toggleExportDetailLayer,
+    setTargetPaintLayer,
+    togglePaintLayerVisibility,
+    previewPaintLayerOpacity,
+    setPaintLayerOpacity,
+    setPaintLayerBlendMode,
+    movePaintLayer,
+    mergePaintLayerDown,
     undoLastAction,
-    redoLastAction
+    redoLastAction,
+    redrawPaintLayer,
+    replayDrawing,
+    stopReplay,
+    getDrawingState,
+    loadDrawing
   }
 }
@@ -0,0 +1,142 @@
+import { ref, computed } from 'vue'
+import { LIGHTING_ENVIRONMENTS, applyLighting, getHighlightSpots } from './eyeLighting.js'
+
+/**
+ * Composable for previewing an eye look under different lighting
+ * Renders the lit scene into an overlay canvas, optionally split in two so the left side
+ * shows one environment and the right side another, with a movable divider.
+ * @returns {Object} Lighting state and methods
+ */
+export function useEyeLighting() {
+  const lighting = ref(LIGHTING_ENVIRONMENTS.FLAT) // Environment shown (left side when comparing)
+  const compareLighting = ref(LIGHTING_ENVIRONMENTS.TUNGSTEN) // Environment on the right side of the split
+  const isComparing = ref(false)
+  const splitPosition = ref(0.5) // Divider position as a share of the canvas width
+
+  // The plain preview needs no overlay unless it is being compared
+  const isLightingActive = computed(() => lighting.value !== LIGHTING_ENVIRONMENTS.FLAT || isComparing.value)
+
+  // Lit scenes from the last render, so moving the divider doesn't re-light anything
+  let targetCanvas = null
+  let litScene = null
+  let comparedScene = null
+
+  /**
+   * Light a copy of the scene
+   * @param {Object} scene - { composite, reflectance, cells }
+   * @param {string} environment - Lighting environment
+   * @returns {HTMLCanvasElement} Lit scene
+   */
+  const renderLitScene = (scene, environment) => {
+    const { composite, reflectance, cells } = scene
+    const canvas = document.createElement('canvas')
+    canvas.width = composite.width
+    canvas.height = composite.height
+    const ctx = canvas.getContext('2d')
+    ctx.drawImage(composite, 0, 0)
+
+    const image = ctx.getImageData(0, 0, canvas.width, canvas.height)
+    const reflectanceData = reflectance.getContext('2d').getImageData(0, 0, canvas.width, canvas.height)
+    applyLighting(image, reflectanceData, environment, getHighlightSpots(environment, cells))
+    ctx.putImageData(image, 0, 0)
+    return canvas
+  }
+
+  /**
+   * Draw the last lit scenes into the overlay, split at the divider when comparing
+   */
+  const drawLighting = () => {
+    if (!targetCanvas || !litScene) return
+
+    const ctx = targetCanvas.getContext('2d')
+    const { width, height } = targetCanvas
+    ctx.clearRect(0, 0, width, height)
+    ctx.drawImage(litScene, 0, 0)
+    if (!comparedScene) return
+
+    const splitX = Math.round(width * splitPosition.value)
+    ctx.drawImage(comparedScene, splitX, 0, width - splitX, height, splitX, 0, width - splitX, height)
+
+    ctx.save()
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)'
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.5)'
+    ctx.shadowBlur = 3
+    ctx.lineWidth = 2
+    ctx.beginPath()
+    ctx.moveTo(splitX, 0)
+    ctx.lineTo(splitX, height)
+    ctx.stroke()
+    ctx.restore()
+  }
+
+  /**
+   * Empty the overlay canvas and forget the last lit scenes, e.g. when lighting is turned off
+   * @param {HTMLCanvasElement} canvas - Overlay canvas
+   */
+  const clearLighting = (canvas) => {
+    targetCanvas = canvas
+    litScene = null
+    comparedScene = null
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height)
+  }
+
+  /**
+   * Light the scene and show it in the overlay canvas
+   * Building the scene replays the drawing, so callers should check isLightingActive first and
+   * use clearLighting when it is off.
+   * @param {HTMLCanvasElement} canvas - Overlay canvas
+   * @param {Object} scene - { composite, reflectance, cells }: the composited layers, their
+   *   reflectance map (see useEyeDrawing createReflectanceCanvas) and the eye cells
+   */
+  const renderLighting = (canvas, scene) => {
+    if (!isLightingActive.value) {
+      clearLighting(canvas)
+      return
+    }
+    targetCanvas = canvas
+
+    try {
+      litScene = renderLitScene(scene, lighting.value)
+      comparedScene = isComparing.value ? renderLitScene(scene, compareLighting.value) : null
+      drawLighting()
+    } catch (error) {
+      console.error('Error rendering eye lighting:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Move the comparison divider
+   * @param {number} position - Share of the canvas width, 0..1
+   */
+  const setSplitPosition = (position) => {
+    splitPosition.value = Math.min(1, Math.max(0, position))
+    drawLighting()
+  }
+
+  const setLighting = (environment) => {
+    lighting.value = environment
+  }
+
+  const setCompareLighting = (environment) => {
+    compareLighting.value = environment
+  }
+
+  const toggleComparison = () => {
+    isComparing.value = !isComparing.value
+  }
+
+  return {
+    lighting,
+    compareLighting,
+    isComparing,
+    splitPosition,
+    isLightingActive,
+    renderLighting,
+    clearLighting,
+    setLighting,
+    setCompareLighting,
+    toggleComparison,
+    setSplitPosition
+  }
+}
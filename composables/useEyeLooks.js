@@ -0,0 +1,168 @@
+import { ref } from 'vue'
+import { getAllEyeLooks, putEyeLooks, deleteEyeLooks } from './paletteDatabase.js'
+import { TAB_ID, createPaletteSyncChannel } from './paletteSync.js'
+
+// Singleton state - shared across all instances
+const eyeLooks = ref([])
+
+const MAX_LOOK_NAME_LENGTH = 50
+
+// Cross-tab sync channel, opened on first load
+let syncChannel = null
+
+// Newest first, so a palette's latest look leads its list
+const sortEyeLooks = (list) => {
+  return [...list].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+}
+
+const reloadEyeLooks = async () => {
+  try {
+    eyeLooks.value = sortEyeLooks(await getAllEyeLooks())
+  } catch (error) {
+    console.error('Failed to load eye looks:', error)
+    eyeLooks.value = []
+  }
+}
+
+const handleSyncMessage = (message) => {
+  if (!message || message.sender === TAB_ID || message.type !== 'eyeLooks') return
+  reloadEyeLooks()
+}
+
+const normalizeLookName = (name) => {
+  const trimmedName = String(name || '').trim().slice(0, MAX_LOOK_NAME_LENGTH)
+  if (!trimmedName) {
+    throw new Error('Look name cannot be empty')
+  }
+  return trimmedName
+}
+
+/**
+ * Composable for eye looks saved with a palette
+ * A look stores the drawing log of the eye canvas (see eyeStrokeLog.js) with the appearance,
+ * eye shape and eye view it was painted on, so it can be reopened and edited
+ * losslessly. Each look belongs to one palette through its `paletteId`; a palette can hold
+ * any number of looks.
+ * @returns {Object} Eye look state and methods
+ */
+export function useEyeLooks() {
+  const loadEyeLooks = async () => {
+    if (!syncChannel && typeof window !== 'undefined') {
+      syncChannel = createPaletteSyncChannel(handleSyncMessage)
+    }
+    await reloadEyeLooks()
+  }
+
+  /**
+   * Looks painted with a palette, newest first
+   * @param {string} paletteId - Palette ID
+   * @returns {Array} Eye looks
+   */
+  const getLooksForPalette = (paletteId) => {
+    return eyeLooks.value.filter(look => look.paletteId === paletteId)
+  }
+
+  const findEyeLookById = (lookId) => {
+    return eyeLooks.value.find(look => look.id === lookId) || null
+  }
+
+  const writeEyeLook = async (look) => {
+    await putEyeLooks([look])
+    eyeLooks.value = sortEyeLooks([...eyeLooks.value.filter(l => l.id !== look.id), look])
+    syncChannel?.post({ type: 'eyeLooks' })
+  }
+
+  /**
+   * Save a look; updates the look with the given ID, or creates a new one
+   * @param {Object} lookData - { id?, paletteId, name, thumbnail } plus the drawing state of useEyeDrawing getDrawingState
+   * @returns {Promise<Object>} Saved look
+   */
+  const saveEyeLook = async (lookData) => {
+    const now = new Date().toISOString()
+    const existing = lookData.id ? findEyeLookById(lookData.id) : null
+
+    const look = {
+      id: existing?.id || `look-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      paletteId: lookData.paletteId,
+      name: normalizeLookName(lookData.name),
+      operations: lookData.operations,
+      skinTone: lookData.skinTone,
+      undertone: lookData.undertone,
+      eyeColor: lookData.eyeColor,
+      browColor: lookData.browColor,
+      artworkId: lookData.artworkId,
+      eyeView: lookData.eyeView,
+      thumbnail: lookData.thumbnail || null,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    }
+
+    try {
+      await writeEyeLook(look)
+    } catch (error) {
+      console.error('Failed to save eye look:', error)
+      throw error
+    }
+
+    return look
+  }
+
+  /**
+   * Rename a look
+   * @param {string} lookId - Look to rename
+   * @param {string} name - New name
+   * @returns {Promise<void>}
+   */
+  const renameEyeLook = async (lookId, name) => {
+    const look = findEyeLookById(lookId)
+    if (!look) {
+      throw new Error('Eye look not found')
+    }
+
+    try {
+      await writeEyeLook({ ...look, name: normalizeLookName(name), updatedAt: new Date().toISOString() })
+    } catch (error) {
+      console.error('Failed to rename eye look:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Delete a look
+   * @param {string} lookId - Look to delete
+   * @returns {Promise<void>}
+   */
+  const deleteEyeLook = async (lookId) => {
+    try {
+      await deleteEyeLooks([lookId])
+      eyeLooks.value = eyeLooks.value.filter(look => look.id !== lookId)
+      syncChannel?.post({ type: 'eyeLooks' })
+    } catch (error) {
+      console.error('Failed to delete eye look:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Drop looks from memory after their palettes were purged from storage
+   * @param {Array<string>} paletteIds - Purged palettes
+   */
+  const forgetLooksForPalettes = (paletteIds) => {
+    eyeLooks.value = eyeLooks.value.filter(look => !paletteIds.includes(look.paletteId))
+    syncChannel?.post({ type: 'eyeLooks' })
+  }
+
+  return {
+    // State
+    eyeLooks,
+
+    // Methods
+    loadEyeLooks,
+    getLooksForPalette,
+    findEyeLookById,
+    saveEyeLook,
+    renameEyeLook,
+    deleteEyeLook,
+    forgetLooksForPalettes
+  }
+}
@@ -0,0 +1,105 @@
+import { ref } from 'vue'
+
+/**
+ * Composable for exporting an eye look replay as a WebM timelapse
+ * Records a canvas stream with MediaRecorder while the replay draws into the canvas.
+ * @returns {Object} Recording state and methods
+ */
+export function useEyeReplayExport() {
+  const isRecording = ref(false)
+  const recordError = ref(null)
+
+  // How long the finished look stays on screen at the end of the video
+  const FINAL_FRAME_HOLD = 1000
+  const FRAME_RATE = 30
+
+  const MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+
+  const getSupportedMimeType = () => {
+    if (typeof MediaRecorder === 'undefined') return null
+    return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null
+  }
+
+  /**
+   * Whether this browser can record a canvas to WebM
+   */
+  const isTimelapseSupported = typeof HTMLCanvasElement !== 'undefined' &&
+    typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+    getSupportedMimeType() !== null
+
+  const downloadBlob = (blob, title) => {
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    // Sanitize title for filename
+    const sanitizedTitle = (title || 'My_Eye_Look').replace(/[<>:"/\\|?*\s]/g, '_')
+    link.download = `${sanitizedTitle}_timelapse.webm`
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    URL.revokeObjectURL(url)
+  }
+
+  /**
+   * Record a replay and download it as a WebM file
+   * Nothing is downloaded when the replay is stopped or fails part way.
+   * @param {HTMLCanvasElement} frameCanvas - Canvas the replay draws its frames into
+   * @param {Function} runReplay - Starts the replay; returns a promise that resolves true when it
+   *   ran to the end
+   * @param {string} title - Title used for the file name
+   * @returns {Promise<Blob|null>} The recorded video, or null when the replay didn't finish
+   */
+  const exportTimelapse = async (frameCanvas, runReplay, title) => {
+    if (!isTimelapseSupported) {
+      throw new Error('Video recording is not supported in this browser')
+    }
+
+    isRecording.value = true
+    recordError.value = null
+    const stream = frameCanvas.captureStream(FRAME_RATE)
+    let recorder = null
+
+    try {
+      recorder = new MediaRecorder(stream, { mimeType: getSupportedMimeType() })
+      const chunks = []
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) {
+          chunks.push(event.data)
+        }
+      }
+      const stopped = new Promise((resolve, reject) => {
+        recorder.onstop = resolve
+        recorder.onerror = (event) => reject(event.error || new Error('Recording failed'))
+      })
+
+      recorder.start()
+      const completed = await runReplay()
+      if (!completed) return null
+
+      await new Promise(resolve => setTimeout(resolve, FINAL_FRAME_HOLD))
+      recorder.stop()
+      await stopped
+
+      const blob = new Blob(chunks, { type: 'video/webm' })
+      downloadBlob(blob, title)
+      return blob
+    } catch (error) {
+      recordError.value = error.message
+      throw error
+    } finally {
+      // Also ends a recording left running by a stopped or failed replay
+      if (recorder && recorder.state !== 'inactive') {
+        recorder.stop()
+      }
+      stream.getTracks().forEach(track => track.stop())
+      isRecording.value = false
+    }
+  }
+
+  return {
+    isRecording,
+    recordError,
+    isTimelapseSupported,
+    exportTimelapse
+  }
+}
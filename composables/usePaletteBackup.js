@@ -0,0 +1,290 @@
+import { ref } from 'vue'
+import { usePaletteStorage, normalizeTags } from './usePaletteStorage.js'
+import { usePaletteCollections } from './usePaletteCollections.js'
+import { useTheme } from './useTheme.js'
+import { useSound } from './useSound.js'
+import { useColorEffects } from './useColorEffects.js'
+import { validateColorData, validateHexColor, logError } from './errorHandler.js'
+import { validateLayout, getCellCount, assignLayout } from './paletteLayout.js'
+
+const BACKUP_FORMAT = 'eyeshadow-palette-backup'
+// Version 2 stores rows/cols/disabledCells; version 1 backups only have a square gridSize
+const BACKUP_VERSION = 2
+const MAX_BACKUP_FILE_SIZE = 10 * 1024 * 1024 // 10MB
+
+/**
+ * Composable for backing up and restoring the whole saved palette library
+ * Backups are a single versioned JSON file holding every saved palette and collection plus theme and sound preferences
+ * @returns {Object} Backup state and methods
+ */
+export function usePaletteBackup() {
+  const { savedPalettes, importPalettes } = usePaletteStorage()
+  const { collections, importCollections } = usePaletteCollections()
+  const { currentTheme, themes, setTheme } = useTheme()
+  const { soundEnabled, setSoundEnabled } = useSound()
+  const { isValidEffect } = useColorEffects()
+
+  const isProcessing = ref(false)
+  const backupError = ref(null)
+
+  /**
+   * Build the backup document for the current library
+   * @returns {Object} Versioned backup data
+   */
+  const createBackup = () => {
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      preferences: {
+        theme: currentTheme.value,
+        soundEnabled: soundEnabled.value
+      },
+      collections: JSON.parse(JSON.stringify(collections.value)),
+      palettes: JSON.parse(JSON.stringify(savedPalettes.value))
+    }
+  }
+
+  /**
+   * Download the backup as a JSON file
+   */
+  const downloadBackup = () => {
+    try {
+      backupError.value = null
+      const backup = createBackup()
+      const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' })
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `eyeshadow-palettes-${backup.exportedAt.slice(0, 10)}.json`
+      document.body.appendChild(link)
+      link.click()
+      document.body.removeChild(link)
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      backupError.value = error.message
+      throw error
+    }
+  }
+
+  /**
+   * Validate and normalize a palette's cells
+   * @param {*} colors - Raw cell list
+   * @param {Object} layout - Validated layout the cells belong to
+   * @returns {Array} Normalized cells [{ index, colorData }]
+   * @throws {Error} With the reason the cells were rejected
+   */
+  const validateColors = (colors, layout) => {
+    if (!Array.isArray(colors)) {
+      throw new Error('Missing colors')
+    }
+
+    const totalCells = getCellCount(layout)
+    const usedIndices = new Set()
+    return colors.map(cell => {
+      const { index, colorData } = cell || {}
+      if (!Number.isInteger(index) || index < 0 || index >= totalCells ||
+        usedIndices.has(index) || layout.disabledCells.includes(index)) {
+        throw new Error(`Invalid cell index: ${index}`)
+      }
+      if (!validateColorData(colorData) || !validateHexColor(colorData.hexCode)) {
+        throw new Error(`Invalid color at cell ${index}`)
+      }
+      usedIndices.add(index)
+      return {
+        index,
+        colorData: {
+          colorName: colorData.colorName,
+          hexCode: colorData.hexCode,
+          bgColor: colorData.bgColor,
+          isDark: colorData.isDark,
+          effect: isValidEffect(colorData.effect) ? colorData.effect : 'matte'
+        }
+      }
+    })
+  }
+
+  /**
+   * Keep only well-formed history entries; a bad revision shouldn't reject the whole palette
+   * @param {*} history - Raw history list
+   * @returns {Array} Valid history entries
+   */
+  const sanitizeHistory = (history) => {
+    if (!Array.isArray(history)) return []
+    return history.flatMap(entry => {
+      try {
+        if (!entry || typeof entry.revisionId !== 'string' || typeof entry.title !== 'string') return []
+        const layout = validateLayout(entry)
+        return [assignLayout({ ...entry, colors: validateColors(entry.colors, layout) }, layout)]
+      } catch (error) {
+        return []
+      }
+    })
+  }
+
+  /**
+   * Validate and normalize a single palette from a backup
+   * @param {*} palette - Raw palette entry
+   * @returns {Object} Normalized palette
+   * @throws {Error} With the reason the palette was rejected
+   */
+  const validatePalette = (palette) => {
+    if (!palette || typeof palette !== 'object') {
+      throw new Error('Not a palette object')
+    }
+    if (typeof palette.title !== 'string' || palette.title.trim() === '') {
+      throw new Error('Missing title')
+    }
+
+    // Backups only hold library palettes, never trashed ones
+    const { deletedAt, ...fields } = palette
+    const layout = validateLayout(palette)
+
+    return assignLayout({
+      ...fields,
+      id: typeof palette.id === 'string' && palette.id ? palette.id : `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      title: palette.title.trim(),
+      colors: validateColors(palette.colors, layout),
+      history: sanitizeHistory(palette.history),
+      tags: normalizeTags(Array.isArray(palette.tags) ? palette.tags : []),
+      favorite: palette.favorite === true,
+      collectionId: typeof palette.collectionId === 'string' ? palette.collectionId : null,
+      createdAt: typeof palette.createdAt === 'string' ? palette.createdAt : new Date().toISOString()
+    }, layout)
+  }
+
+  /**
+   * Keep only well-formed collections; older backups have none
+   * @param {*} collections - Raw collection list
+   * @returns {Array} Valid collections { id, name, createdAt }
+   */
+  const sanitizeCollections = (collections) => {
+    if (!Array.isArray(collections)) return []
+    return collections
+      .filter(c => c && typeof c.id === 'string' && c.id && typeof c.name === 'string' && c.name.trim())
+      .map(c => ({
+        id: c.id,
+        name: c.name.trim(),
+        createdAt: typeof c.createdAt === 'string' ? c.createdAt : new Date().toISOString()
+      }))
+  }
+
+  /**
+   * Read and validate a backup file chosen by the user
+   * @param {File} file - JSON backup file
+   * @returns {Promise<Object>} { palettes, collections, rejected: [{ title, reason }], preferences, exportedAt }
+   * @throws {Error} When the file as a whole is not a usable backup
+   */
+  const readBackupFile = async (file) => {
+    isProcessing.value = true
+    backupError.value = null
+
+    try {
+      if (!file) {
+        throw new Error('No file selected')
+      }
+      if (file.size > MAX_BACKUP_FILE_SIZE) {
+        throw new Error('Backup file is too large')
+      }
+
+      let data
+      try {
+        data = JSON.parse(await file.text())
+      } catch (error) {
+        throw new Error('File is not valid JSON')
+      }
+
+      if (!data || data.format !== BACKUP_FORMAT) {
+        throw new Error('File is not an Eyeshadow Palette Maker backup')
+      }
+      if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION) {
+        throw new Error(`Unsupported backup version: ${data.version}`)
+      }
+      if (!Array.isArray(data.palettes)) {
+        throw new Error('Backup contains no palette list')
+      }
+
+      const palettes = []
+      const rejected = []
+      data.palettes.forEach((palette, position) => {
+        try {
+          palettes.push(validatePalette(palette))
+        } catch (error) {
+          rejected.push({
+            title: typeof palette?.title === 'string' && palette.title ? palette.title : `Palette #${position + 1}`,
+            reason: error.message
+          })
+        }
+      })
+
+      const preferences = {}
+      if (data.preferences && themes.value[data.preferences.theme]) {
+        preferences.theme = data.preferences.theme
+      }
+      if (typeof data.preferences?.soundEnabled === 'boolean') {
+        preferences.soundEnabled = data.preferences.soundEnabled
+      }
+
+      return {
+        palettes,
+        collections: sanitizeCollections(data.collections),
+        rejected,
+        preferences,
+        exportedAt: data.exportedAt || null
+      }
+    } catch (error) {
+      logError('usePaletteBackup.readBackupFile', error, { fileName: file?.name })
+      backupError.value = error.message
+      throw error
+    } finally {
+      isProcessing.value = false
+    }
+  }
+
+  /**
+   * Restore a validated backup into the library
+   * @param {Object} backup - Result of readBackupFile
+   * @param {'merge'|'replace'|'skip'} strategy - How to handle palettes matching an existing id or title
+   * @param {Object} options - Restore options
+   * @param {boolean} options.restorePreferences - Whether to apply theme and sound preferences
+   * @returns {Promise<Object>} Report with added, renamed, replaced, skipped and rejected entries
+   */
+  const restoreBackup = async (backup, strategy = 'merge', { restorePreferences = true } = {}) => {
+    isProcessing.value = true
+    backupError.value = null
+
+    try {
+      // Collections first, so restored palettes never point at a missing collection
+      await importCollections(backup.collections || [])
+      const report = await importPalettes(backup.palettes, strategy)
+
+      if (restorePreferences) {
+        if (backup.preferences.theme) {
+          setTheme(backup.preferences.theme)
+        }
+        if (typeof backup.preferences.soundEnabled === 'boolean') {
+          setSoundEnabled(backup.preferences.soundEnabled)
+        }
+      }
+
+      return { ...report, rejected: backup.rejected }
+    } catch (error) {
+      backupError.value = error.message
+      throw error
+    } finally {
+      isProcessing.value = false
+    }
+  }
+
+  return {
+    // State
+    isProcessing,
+    backupError,
+
+    // Methods
+    createBackup,
+    downloadBackup,
+    readBackupFile,
+    restoreBackup
+  }
+}
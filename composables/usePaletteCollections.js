@@ -0,0 +1,133 @@
+import { ref } from 'vue'
+import { getAllCollections, putCollections, deleteCollections } from './paletteDatabase.js'
+import { TAB_ID, createPaletteSyncChannel } from './paletteSync.js'
+import { usePaletteStorage } from './usePaletteStorage.js'
+
+// Singleton state - shared across all instances
+const collections = ref([])
+
+const MAX_COLLECTION_NAME_LENGTH = 50
+
+// Cross-tab sync channel, opened on first load
+let syncChannel = null
+
+const sortCollections = (list) => {
+  return [...list].sort((a, b) => a.name.localeCompare(b.name))
+}
+
+const reloadCollections = async () => {
+  try {
+    collections.value = sortCollections(await getAllCollections())
+  } catch (error) {
+    console.error('Failed to load palette collections:', error)
+    collections.value = []
+  }
+}
+
+// Collections change rarely, so other tabs simply re-read the store
+const handleSyncMessage = (message) => {
+  if (!message || message.sender === TAB_ID || message.type !== 'collections') return
+  reloadCollections()
+}
+
+/**
+ * Composable for user-defined palette collections (folders)
+ * A palette belongs to at most one collection through its `collectionId`;
+ * palettes without one (or whose collection was removed) are unfiled.
+ * @returns {Object} Collection state and methods
+ */
+export function usePaletteCollections() {
+  const { clearCollection } = usePaletteStorage()
+
+  const loadCollections = async () => {
+    if (!syncChannel && typeof window !== 'undefined') {
+      syncChannel = createPaletteSyncChannel(handleSyncMessage)
+    }
+    await reloadCollections()
+  }
+
+  /**
+   * Create a collection, or return the existing one with the same name
+   * @param {string} name - Collection name
+   * @returns {Promise<Object>} Collection { id, name, createdAt }
+   */
+  const createCollection = async (name) => {
+    const trimmedName = String(name || '').trim().slice(0, MAX_COLLECTION_NAME_LENGTH)
+    if (!trimmedName) {
+      throw new Error('Collection name cannot be empty')
+    }
+
+    const existing = collections.value.find(c => c.name.toLowerCase() === trimmedName.toLowerCase())
+    if (existing) return existing
+
+    const collection = {
+      id: `collection-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      name: trimmedName,
+      createdAt: new Date().toISOString()
+    }
+
+    try {
+      await putCollections([collection])
+      collections.value = sortCollections([...collections.value, collection])
+      syncChannel?.post({ type: 'collections' })
+    } catch (error) {
+      console.error('Failed to create collection:', error)
+      throw error
+    }
+
+    return collection
+  }
+
+  /**
+   * Add collections that don't exist yet (matched by ID), e.g. from a backup
+   * @param {Array} incoming - Collections { id, name, createdAt }
+   * @returns {Promise<void>}
+   */
+  const importCollections = async (incoming) => {
+    const known = new Set(collections.value.map(c => c.id))
+    const added = incoming.filter(c => !known.has(c.id))
+    if (added.length === 0) return
+
+    try {
+      await putCollections(added)
+      collections.value = sortCollections([...collections.value, ...added])
+      syncChannel?.post({ type: 'collections' })
+    } catch (error) {
+      console.error('Failed to import collections:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Delete a collection; its palettes are kept and become unfiled
+   * @param {string} collectionId - Collection to delete
+   * @returns {Promise<void>}
+   */
+  const deleteCollection = async (collectionId) => {
+    try {
+      await clearCollection(collectionId)
+      await deleteCollections([collectionId])
+      collections.value = collections.value.filter(c => c.id !== collectionId)
+      syncChannel?.post({ type: 'collections' })
+    } catch (error) {
+      console.error('Failed to delete collection:', error)
+      throw error
+    }
+  }
+
+  const findCollectionById = (collectionId) => {
+    return collections.value.find(c => c.id === collectionId) || null
+  }
+
+  return {
+    // State
+    collections,
+
+    // Methods
+    loadCollections,
+    createCollection,
+    importCollections,
+    deleteCollection,
+    findCollectionById
+  }
+}
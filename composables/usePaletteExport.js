@@ -1,36 +1,42 @@
 import { ref } from 'vue'
+import { usePaletteLink } from './usePaletteLink.js'
+import { getPaletteLayout } from './paletteLayout.js'
 
 export function usePaletteExport() {
   const isExporting = ref(false)
   const exportError = ref(null)
+  const { buildShareUrl } = usePaletteLink()
 
   /**
    * Generate a canvas element with the palette rendered on it
    * @param {Array} gridData - Array of color data for each cell
-   * @param {number} gridSize - Size of the grid (2, 3, or 4)
+   * @param {Object} layout - Grid layout { rows, cols, disabledCells }
    * @param {string} title - Palette title
-   * @param {number} canvasSize - Size of the canvas in pixels
+   * @param {number} canvasSize - Width of the canvas in pixels
    * @returns {HTMLCanvasElement} Canvas element with the palette
    */
-  const generatePaletteCanvas = (gridData, gridSize, title, canvasSize = 800) => {
+  const generatePaletteCanvas = (gridData, layout, title, canvasSize = 800) => {
     const canvas = document.createElement('canvas')
     const ctx = canvas.getContext('2d')
+    const { rows, cols, disabledCells } = getPaletteLayout(layout)
     
-    // Set canvas size
+    // Calculate grid dimensions; the longer side of the grid spans the canvas width
+    const gridMargin = 60
+    const startY = 80 // Start below title
+    const gridAreaSize = canvasSize - (gridMargin * 2)
+    const cellSize = gridAreaSize / Math.max(rows, cols)
+    const cellPadding = cellSize * 0.05 // 5% padding between cells
+    const actualCellSize = cellSize - cellPadding
+    const gridLeft = gridMargin + (gridAreaSize - cols * cellSize) / 2
+    
+    // Set canvas size, with extra space for the title and watermark
     canvas.width = canvasSize
-    canvas.height = canvasSize + 100 // Extra space for title
+    canvas.height = startY + (gridMargin * 2) + (rows * cellSize) + 20
     
     // Clear canvas with white background
     ctx.fillStyle = '#ffffff'
     ctx.fillRect(0, 0, canvas.width, canvas.height)
     
-    // Calculate grid dimensions
-    const gridMargin = 60
-    const gridAreaSize = canvasSize - (gridMargin * 2)
-    const cellSize = gridAreaSize / gridSize
-    const cellPadding = cellSize * 0.05 // 5% padding between cells
-    const actualCellSize = cellSize - cellPadding
-    
     // Draw title
     if (title) {
       ctx.fillStyle = '#333333'
@@ -40,14 +46,14 @@ export function usePaletteExport() {
     }
     
     // Draw palette grid
-    const startY = 80 // Start below title
-    
-    for (let row = 0; row < gridSize; row++) {
-      for (let col = 0; col < gridSize; col++) {
-        const index = row * gridSize + col
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const index = row * cols + col
+        // Disabled cells are gaps in the palette shape
+        if (disabledCells.includes(index)) continue
         const colorData = gridData[index]
         
-        const x = gridMargin + (col * cellSize) + (cellPadding / 2)
+        const x = gridLeft + (col * cellSize) + (cellPadding / 2)
         const y = startY + gridMargin + (row * cellSize) + (cellPadding / 2)
         
         // Draw cell background
@@ -101,7 +107,7 @@ export function usePaletteExport() {
     ctx.fillStyle = 'rgba(0, 0, 0, 0.3)'
     ctx.font = '14px Arial, sans-serif'
     ctx.textAlign = 'right'
-    ctx.fillText('Created with Eyeshadow Palette Maker', canvasSize - 20, canvasSize + 90)
+    ctx.fillText('Created with Eyeshadow Palette Maker', canvasSize - 20, canvas.height - 10)
     
     return canvas
   }
@@ -126,16 +132,16 @@ export function usePaletteExport() {
   /**
    * Export palette as JPG file
    * @param {Array} gridData - Array of color data for each cell
-   * @param {number} gridSize - Size of the grid (2, 3, or 4)
+   * @param {Object} layout - Grid layout { rows, cols, disabledCells }
    * @param {string} title - Palette title
    * @param {number} quality - JPG quality (0.1 to 1.0)
    */
-  const exportAsJPG = async (gridData, gridSize, title, quality = 0.9) => {
+  const exportAsJPG = async (gridData, layout, title, quality = 0.9) => {
     try {
       isExporting.value = true
       exportError.value = null
       
-      const canvas = generatePaletteCanvas(gridData, gridSize, title)
+      const canvas = generatePaletteCanvas(gridData, layout, title)
       
       // Convert canvas to blob
       return new Promise((resolve, reject) => {
@@ -172,10 +178,10 @@ export function usePaletteExport() {
   /**
    * Copy palette image to clipboard (if supported)
    * @param {Array} gridData - Array of color data for each cell
-   * @param {number} gridSize - Size of the grid (2, 3, or 4)
+   * @param {Object} layout - Grid layout { rows, cols, disabledCells }
    * @param {string} title - Palette title
    */
-  const copyToClipboard = async (gridData, gridSize, title) => {
+  const copyToClipboard = async (gridData, layout, title) => {
     try {
       if (!navigator.clipboard || !navigator.clipboard.write) {
         throw new Error('Clipboard API not supported')
@@ -184,7 +190,7 @@ export function usePaletteExport() {
       isExporting.value = true
       exportError.value = null
       
-      const canvas = generatePaletteCanvas(gridData, gridSize, title)
+      const canvas = generatePaletteCanvas(gridData, layout, title)
       
       return new Promise((resolve, reject) => {
         canvas.toBlob(async (blob) => {
@@ -215,10 +221,10 @@ export function usePaletteExport() {
   /**
    * Share palette using Web Share API (if supported)
    * @param {Array} gridData - Array of color data for each cell
-   * @param {number} gridSize - Size of the grid (2, 3, or 4)
+   * @param {Object} layout - Grid layout { rows, cols, disabledCells }
    * @param {string} title - Palette title
    */
-  const shareViaWebAPI = async (gridData, gridSize, title) => {
+  const shareViaWebAPI = async (gridData, layout, title) => {
     try {
       if (!navigator.share) {
         throw new Error('Web Share API not supported')
@@ -227,7 +233,7 @@ export function usePaletteExport() {
       isExporting.value = true
       exportError.value = null
       
-      const canvas = generatePaletteCanvas(gridData, gridSize, title)
+      const canvas = generatePaletteCanvas(gridData, layout, title)
       
       return new Promise((resolve, reject) => {
         canvas.toBlob(async (blob) => {
@@ -298,15 +304,15 @@ export function usePaletteExport() {
   /**
    * Copy image as data URL to clipboard (alternative for email sharing)
    * @param {Array} gridData - Array of color data for each cell
-   * @param {number} gridSize - Size of the grid (2, 3, or 4)
+   * @param {Object} layout - Grid layout { rows, cols, disabledCells }
    * @param {string} title - Palette title
    */
-  const copyImageAsDataURL = async (gridData, gridSize, title) => {
+  const copyImageAsDataURL = async (gridData, layout, title) => {
     try {
       isExporting.value = true
       exportError.value = null
       
-      const canvas = generatePaletteCanvas(gridData, gridSize, title)
+      const canvas = generatePaletteCanvas(gridData, layout, title)
       const dataURL = canvas.toDataURL('image/jpeg', 0.9)
       
       // Create HTML img tag that can be pasted into emails
@@ -331,6 +337,29 @@ export function usePaletteExport() {
     }
   }
 
+  /**
+   * Copy a shareable link that opens the palette in the app
+   * @param {Object} paletteData - Palette with title, layout and colors [{ index, colorData }]
+   * @returns {Promise<string>} The copied URL
+   */
+  const copyShareLink = async (paletteData) => {
+    try {
+      if (!navigator.clipboard || !navigator.clipboard.writeText) {
+        throw new Error('Clipboard API not supported')
+      }
+      
+      exportError.value = null
+      
+      const url = buildShareUrl(paletteData)
+      await navigator.clipboard.writeText(url)
+      return url
+      
+    } catch (error) {
+      exportError.value = error.message
+      throw error
+    }
+  }
+
   /**
    * Check which share features are supported
    */
@@ -352,7 +381,8 @@ export function usePaletteExport() {
       download: true, // Always supported
       clipboard: navigator.clipboard && navigator.clipboard.write,
       webShare: webShareSupported,
-      copyDataURL: navigator.clipboard && navigator.clipboard.write
+      copyDataURL: navigator.clipboard && navigator.clipboard.write,
+      link: navigator.clipboard && navigator.clipboard.writeText
     }
   }
   
@@ -363,6 +393,7 @@ export function usePaletteExport() {
     copyToClipboard,
     shareViaWebAPI,
     copyImageAsDataURL,
+    copyShareLink,
     getShareCapabilities
   }
 }
\ No newline at end of file
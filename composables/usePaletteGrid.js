@@ -1,47 +1,211 @@
 import { ref, computed, reactive } from 'vue'
 import { useEventCleanup } from './useEventCleanup.js'
+import { useCommandHistory } from './useCommandHistory.js'
+import { getPaletteLayout, getCellCount, getEnabledCellCount, isSameLayout } from './paletteLayout.js'
 
 /**
  * Composable for managing palette grid state and operations
+ * The grid is `rows × cols` cells, some of which may be disabled (see paletteLayout.js).
+ * Every edit runs as an undoable command (see useCommandHistory.js). Commands record the
+ * affected cells, grid layout and overflow tray before and after, so undo and redo just
+ * reapply a snapshot.
+ * Colors that no longer fit after a resize or shape edit go to the overflow tray instead of
+ * being deleted, and can be placed back into the grid from there.
  * @param {Object} colors - All available colors
  * @returns {Object} Grid state and methods
  */
 export function usePaletteGrid(colors) {
   const { addEventListener, removeListenersByPattern } = useEventCleanup()
   
-  const gridSize = ref(4)
+  const gridLayout = ref({ rows: 4, cols: 4, disabledCells: [] })
   const gridData = reactive(new Map())
   const gridDataTrigger = ref(0) // Used to force reactivity updates
+  const overflowColors = ref([]) // Colors pushed out of the grid, oldest first
+  
+  // Undo/redo history for grid edits
+  const {
+    canUndo,
+    canRedo,
+    undoLabel,
+    redoLabel,
+    execute,
+    undo,
+    redo,
+    clearHistory
+  } = useCommandHistory({ limit: 50 })
   
   // Computed properties
-  const totalCells = computed(() => gridSize.value * gridSize.value)
-  const gridColumns = computed(() => `repeat(${gridSize.value}, 1fr)`)
+  const totalCells = computed(() => getCellCount(gridLayout.value))
+  const enabledCellCount = computed(() => getEnabledCellCount(gridLayout.value))
+  const gridColumns = computed(() => `repeat(${gridLayout.value.cols}, 1fr)`)
+  
+  /**
+   * Check if a cell is disabled (not part of the palette shape)
+   * @param {number} index - Cell index
+   * @returns {boolean}
+   */
+  const isCellDisabled = (index) => {
+    return gridLayout.value.disabledCells.includes(index)
+  }
+  
+  /**
+   * Write cell values directly, without recording history
+   * @param {Array} cells - [index, colorData | null] pairs; null empties the cell
+   */
+  const applyCells = (cells) => {
+    cells.forEach(([index, colorData]) => {
+      if (colorData) {
+        gridData.set(index, colorData)
+      } else {
+        gridData.delete(index)
+      }
+    })
+    gridDataTrigger.value++ // Single trigger for the whole batch
+  }
   
   /**
-   * Change grid size and clean up data if necessary
-   * @param {number} newSize - New grid size
+   * Run a grid edit as an undoable command
+   * No-op edits (nothing changes) are not recorded.
+   * @param {string} label - Human-readable name, e.g. "Clear"
+   * @param {Array} cells - [index, colorData | null] pairs to write
+   * @param {Object} [layout] - Grid layout after the edit (defaults to the current layout)
+   * @param {Array} [overflow] - Overflow tray after the edit (defaults to the current tray)
+   * @param {Object} [hooks] - Callbacks run after the grid changes
+   * @param {Function} [hooks.onExecute] - Runs when the edit is made or redone
+   * @param {Function} [hooks.onUndo] - Runs when the edit is undone
    */
-  const changeGridSize = (newSize) => {
-    const oldSize = gridSize.value
-    gridSize.value = parseInt(newSize)
+  const executeGridCommand = (label, cells, layout = gridLayout.value, overflow = overflowColors.value, { onExecute, onUndo } = {}) => {
+    const layoutBefore = gridLayout.value
+    const layoutAfter = getPaletteLayout(layout)
+    const overflowBefore = overflowColors.value
+    const changedCells = cells.filter(([index, colorData]) => (gridData.get(index) || null) !== colorData)
+    if (changedCells.length === 0 && isSameLayout(layoutAfter, layoutBefore) &&
+      overflow.length === overflowBefore.length && overflow.every((color, i) => color === overflowBefore[i])) return
+    
+    const before = changedCells.map(([index]) => [index, gridData.get(index) || null])
+    execute({
+      label,
+      // Commands with hooks update the caller themselves, so they aren't reported as plain grid edits
+      hasHooks: Boolean(onExecute || onUndo),
+      execute: () => {
+        gridLayout.value = layoutAfter
+        overflowColors.value = overflow
+        applyCells(changedCells)
+        onExecute?.()
+      },
+      undo: () => {
+        gridLayout.value = layoutBefore
+        overflowColors.value = overflowBefore
+        applyCells(before)
+        onUndo?.()
+      }
+    })
+  }
+  
+  /**
+   * Cells that empty every currently occupied cell, for edits that replace the whole grid
+   * @returns {Array} [index, null] pairs
+   */
+  const emptyAllCells = () => {
+    return Array.from(gridData.keys()).map(index => [index, null])
+  }
+  
+  /**
+   * Change the grid layout, keeping every color at the same row and column
+   * Colors whose position is outside the new grid or disabled move to the overflow tray.
+   * @param {Object} newLayout - { rows, cols, disabledCells? }
+   */
+  const changeGridLayout = (newLayout) => {
+    const { cols: oldCols } = gridLayout.value
+    const layout = getPaletteLayout(newLayout)
+    
+    const cells = emptyAllCells()
+    const displaced = []
+    // Walk cells in index order so the tray keeps reading order
+    Array.from(gridData.entries())
+      .sort(([a], [b]) => a - b)
+      .forEach(([index, colorData]) => {
+        const row = Math.floor(index / oldCols)
+        const col = index % oldCols
+        const newIndex = row * layout.cols + col
+        if (row < layout.rows && col < layout.cols && !layout.disabledCells.includes(newIndex)) {
+          cells.push([newIndex, colorData])
+        } else {
+          displaced.push(colorData)
+        }
+      })
     
-    // Remove data for cells that no longer exist
-    if (gridSize.value < oldSize) {
-      const maxIndex = totalCells.value - 1
-      const keysToRemove = Array.from(gridData.keys()).filter(key => key > maxIndex)
-      keysToRemove.forEach(key => gridData.delete(key))
-      gridDataTrigger.value++ // Trigger reactivity if data was removed
+    const overflow = displaced.length > 0 ? [...overflowColors.value, ...displaced] : overflowColors.value
+    // Later entries win, so moved colors overwrite the emptied cells
+    executeGridCommand('Resize', [...new Map(cells)], layout, overflow)
+  }
+  
+  /**
+   * Disable an enabled cell (moving its color to the overflow tray) or re-enable a disabled one
+   * The last enabled cell can't be disabled.
+   * @param {number} index - Cell index
+   */
+  const toggleCellDisabled = (index) => {
+    const { disabledCells } = gridLayout.value
+    if (isCellDisabled(index)) {
+      executeGridCommand('Enable cell', [], {
+        ...gridLayout.value,
+        disabledCells: disabledCells.filter(i => i !== index)
+      })
+    } else if (enabledCellCount.value > 1) {
+      const colorData = gridData.get(index)
+      executeGridCommand('Disable cell', [[index, null]], {
+        ...gridLayout.value,
+        disabledCells: [...disabledCells, index]
+      }, colorData ? [...overflowColors.value, colorData] : overflowColors.value)
     }
   }
   
+  /**
+   * Move a color from the overflow tray into a grid cell
+   * A color already in the cell takes its place in the tray.
+   * @param {number} overflowIndex - Position in the overflow tray
+   * @param {number} targetIndex - Target cell index
+   */
+  const placeOverflowColor = (overflowIndex, targetIndex) => {
+    const colorData = overflowColors.value[overflowIndex]
+    if (!colorData || isCellDisabled(targetIndex)) return
+    
+    const targetColorData = gridData.get(targetIndex)
+    const overflow = targetColorData
+      ? overflowColors.value.map((color, i) => i === overflowIndex ? targetColorData : color)
+      : overflowColors.value.filter((_, i) => i !== overflowIndex)
+    executeGridCommand('Place color', [[targetIndex, colorData]], gridLayout.value, overflow)
+  }
+  
+  /**
+   * Remove a color from the overflow tray
+   * @param {number} overflowIndex - Position in the overflow tray
+   */
+  const discardOverflowColor = (overflowIndex) => {
+    if (!overflowColors.value[overflowIndex]) return
+    executeGridCommand('Discard color', [], gridLayout.value,
+      overflowColors.value.filter((_, i) => i !== overflowIndex))
+  }
+  
+  /**
+   * Find a color's position in the overflow tray
+   * @param {Object} colorData - Color to look for
+   * @returns {number} Tray index or -1 if not found
+   */
+  const findOverflowIndex = (colorData) => {
+    return overflowColors.value.findIndex(color =>
+      color.bgColor === colorData.bgColor && color.colorName === colorData.colorName)
+  }
+  
   /**
    * Set color data for a specific grid cell
    * @param {number} index - Cell index
    * @param {Object} colorData - Color data to set
    */
   const setCellData = (index, colorData) => {
-    gridData.set(index, colorData)
-    gridDataTrigger.value++ // Trigger reactivity
+    if (isCellDisabled(index)) return
+    executeGridCommand('Place color', [[index, colorData]])
   }
   
   /**
@@ -60,16 +224,14 @@ export function usePaletteGrid(colors) {
    * @param {number} index - Cell index
    */
   const removeCellData = (index) => {
-    gridData.delete(index)
-    gridDataTrigger.value++ // Trigger reactivity
+    executeGridCommand('Remove color', [[index, null]])
   }
   
   /**
-   * Clear all grid data
+   * Clear all grid data and the overflow tray
    */
   const clearGrid = () => {
-    gridData.clear()
-    gridDataTrigger.value++ // Trigger reactivity
+    executeGridCommand('Clear', emptyAllCells(), gridLayout.value, [])
   }
   
   /**
@@ -99,20 +261,15 @@ export function usePaletteGrid(colors) {
    * @param {number} sourceIndex - Source cell index
    */
   const swapOrMoveColors = (draggedColor, targetIndex, sourceIndex) => {
-    if (sourceIndex === -1) return // Source not found
+    if (sourceIndex === -1 || isCellDisabled(targetIndex)) return // Source not found or nowhere to drop
     
     const targetColorData = getCellData(targetIndex)
     
-    // Place dragged color in target cell
-    setCellData(targetIndex, draggedColor)
-    
-    if (targetColorData) {
-      // Swap: Place target color in source cell
-      setCellData(sourceIndex, targetColorData)
-    } else {
-      // Move: Clear source cell
-      removeCellData(sourceIndex)
-    }
+    // Place dragged color in target cell; swap puts the target color in the source cell, move clears it
+    executeGridCommand(targetColorData ? 'Swap colors' : 'Move color', [
+      [targetIndex, draggedColor],
+      [sourceIndex, targetColorData || null]
+    ])
   }
   
   /**
@@ -134,26 +291,30 @@ export function usePaletteGrid(colors) {
    * Generate random palette
    */
   const generateRandomPalette = () => {
-    clearGrid()
+    const cells = emptyAllCells()
     
-    if (!colors || !colors.value) return
-    
-    const availableColors = [...colors.value]
-    const shuffledColors = availableColors.sort(() => Math.random() - 0.5)
-    const colorsToUse = Math.min(totalCells.value, shuffledColors.length)
-    
-    for (let i = 0; i < colorsToUse; i++) {
-      const selectedColor = shuffledColors[i]
-      const colorData = {
-        colorName: selectedColor.name,
-        hexCode: selectedColor.hex,
-        bgColor: selectedColor.hex,
-        isDark: selectedColor.is_dark,
-        effect: selectedColor.effect || 'matte'
+    if (colors && colors.value) {
+      const availableColors = [...colors.value]
+      const shuffledColors = availableColors.sort(() => Math.random() - 0.5)
+      const enabledIndices = Array.from({ length: totalCells.value }, (_, index) => index)
+        .filter(index => !isCellDisabled(index))
+      const colorsToUse = Math.min(enabledIndices.length, shuffledColors.length)
+      
+      for (let i = 0; i < colorsToUse; i++) {
+        const selectedColor = shuffledColors[i]
+        const colorData = {
+          colorName: selectedColor.name,
+          hexCode: selectedColor.hex,
+          bgColor: selectedColor.hex,
+          isDark: selectedColor.is_dark,
+          effect: selectedColor.effect || 'matte'
+        }
+        cells.push([enabledIndices[i], colorData])
       }
-      gridData.set(i, colorData) // Direct set without triggering for each one
     }
-    gridDataTrigger.value++ // Single trigger at the end
+    
+    // Later entries win, so new colors overwrite the emptied cells
+    executeGridCommand('Randomize', [...new Map(cells)], gridLayout.value, [])
   }
   
   /**
@@ -169,16 +330,22 @@ export function usePaletteGrid(colors) {
   }
   
   /**
-   * Import grid data from array
+   * Import grid data from array, replacing the current grid and emptying the overflow tray
+   * The import is undoable. Pass hooks to switch which palette is open along with the grid, so
+   * undoing a load doesn't leave the loaded palette open over the previous grid.
    * @param {Array} data - Array of color data
+   * @param {Object} [layout] - Layout of the imported data (defaults to the current layout)
+   * @param {Object} [hooks] - onExecute / onUndo callbacks (see executeGridCommand)
    */
-  const importGridData = (data) => {
-    clearGrid()
+  const importGridData = (data, layout = gridLayout.value, hooks = {}) => {
+    const importLayout = getPaletteLayout(layout)
+    const cells = emptyAllCells()
     data.forEach((colorData, index) => {
-      if (colorData && index < totalCells.value) {
-        setCellData(index, colorData)
+      if (colorData && index < getCellCount(importLayout) && !importLayout.disabledCells.includes(index)) {
+        cells.push([index, colorData])
       }
     })
+    executeGridCommand('Load palette', [...new Map(cells)], importLayout, [], hooks)
   }
 
   /**
@@ -190,7 +357,7 @@ export function usePaletteGrid(colors) {
     gridDataTrigger.value
     
     for (let i = 0; i < totalCells.value; i++) {
-      if (!gridData.has(i)) {
+      if (!gridData.has(i) && !isCellDisabled(i)) {
         return i
       }
     }
@@ -198,11 +365,18 @@ export function usePaletteGrid(colors) {
   }
   
   return {
-    gridSize,
+    gridLayout,
     gridData,
+    overflowColors,
     totalCells,
+    enabledCellCount,
     gridColumns,
-    changeGridSize,
+    changeGridLayout,
+    toggleCellDisabled,
+    isCellDisabled,
+    placeOverflowColor,
+    discardOverflowColor,
+    findOverflowIndex,
     setCellData,
     getCellData,
     removeCellData,
@@ -214,6 +388,13 @@ export function usePaletteGrid(colors) {
     generateRandomPalette,
     exportGridData,
     importGridData,
-    findFirstEmptyCell
+    findFirstEmptyCell,
+    canUndo,
+    canRedo,
+    undoLabel,
+    redoLabel,
+    undo,
+    redo,
+    clearHistory
   }
 }
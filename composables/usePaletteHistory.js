@@ -0,0 +1,107 @@
+import { computed } from 'vue'
+import { usePaletteStorage } from './usePaletteStorage.js'
+import { getPaletteLayout, isSameLayout, describeLayout } from './paletteLayout.js'
+
+/**
+ * Composable for browsing and comparing a saved palette's version history
+ * @param {import('vue').Ref<string>} paletteId - Reactive palette ID
+ * @returns {Object} History state and helpers
+ */
+export function usePaletteHistory(paletteId) {
+  const { findPaletteById, restorePaletteRevision } = usePaletteStorage()
+
+  const palette = computed(() => findPaletteById(paletteId.value))
+
+  /**
+   * Current version followed by older revisions, newest first
+   * Every version carries a full layout, including entries saved with only a gridSize
+   */
+  const versions = computed(() => {
+    if (!palette.value) return []
+    const current = {
+      revisionId: 'current',
+      savedAt: palette.value.updatedAt || palette.value.createdAt,
+      title: palette.value.title,
+      colors: palette.value.colors,
+      isCurrent: true
+    }
+    return [current, ...(palette.value.history || [])].map(version => ({
+      ...version,
+      ...getPaletteLayout(version.isCurrent ? palette.value : version)
+    }))
+  })
+
+  const hasHistory = computed(() => versions.value.length > 1)
+
+  /**
+   * Compare two versions of a palette cell by cell
+   * @param {Object} from - Older version { title, rows, cols, disabledCells, colors }
+   * @param {Object} to - Newer version { title, rows, cols, disabledCells, colors }
+   * @returns {Object} { titleChanged, layoutChanged, changes: [{ index, type, before, after }] }
+   */
+  const diffVersions = (from, to) => {
+    const toCellMap = (colors) => new Map(colors.map(({ index, colorData }) => [index, colorData]))
+    const fromCells = toCellMap(from.colors)
+    const toCells = toCellMap(to.colors)
+    const indices = [...new Set([...fromCells.keys(), ...toCells.keys()])].sort((a, b) => a - b)
+
+    const changes = []
+    indices.forEach(index => {
+      const before = fromCells.get(index) || null
+      const after = toCells.get(index) || null
+      if (before && !after) {
+        changes.push({ index, type: 'removed', before, after })
+      } else if (!before && after) {
+        changes.push({ index, type: 'added', before, after })
+      } else if (before.hexCode !== after.hexCode || before.effect !== after.effect) {
+        changes.push({ index, type: 'changed', before, after })
+      }
+    })
+
+    return {
+      titleChanged: from.title !== to.title,
+      layoutChanged: !isSameLayout(from, to),
+      changes
+    }
+  }
+
+  /**
+   * Describe a cell index as a 1-based row/column position
+   * @param {number} index - Cell index
+   * @param {Object} layout - Layout the index belongs to
+   * @returns {string} e.g. "Row 2, Col 1"
+   */
+  const describeCell = (index, layout) => {
+    return `Row ${Math.floor(index / layout.cols) + 1}, Col ${(index % layout.cols) + 1}`
+  }
+
+  /**
+   * Describe a version's grid shape
+   * @param {Object} version - Palette version
+   * @returns {string} e.g. "3×5" or "3×5, 2 cells off"
+   */
+  const describeVersionLayout = (version) => {
+    const disabledCount = version.disabledCells.length
+    if (disabledCount === 0) return describeLayout(version)
+    return `${describeLayout(version)}, ${disabledCount} ${disabledCount === 1 ? 'cell' : 'cells'} off`
+  }
+
+  /**
+   * Restore an older revision of the palette
+   * @param {string} revisionId - Revision to restore
+   * @returns {Promise<Object>} Restored palette
+   */
+  const restoreVersion = (revisionId) => {
+    return restorePaletteRevision(paletteId.value, revisionId)
+  }
+
+  return {
+    palette,
+    versions,
+    hasHistory,
+    diffVersions,
+    describeCell,
+    describeVersionLayout,
+    restoreVersion
+  }
+}
@@ -0,0 +1,132 @@
+import { ref, computed } from 'vue'
+import { usePaletteStorage } from './usePaletteStorage.js'
+import { usePaletteCollections } from './usePaletteCollections.js'
+
+// Singleton state - filters survive closing and reopening the manager
+const searchQuery = ref('')
+const collectionFilter = ref('all')
+const tagFilter = ref('all')
+const sortBy = ref('created')
+const sortDirection = ref('desc')
+
+const SORT_OPTIONS = [
+  { value: 'name', label: 'Name' },
+  { value: 'created', label: 'Date created' },
+  { value: 'updated', label: 'Last updated' },
+  { value: 'colors', label: 'Color count' }
+]
+
+const SORT_COMPARATORS = {
+  name: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' }),
+  created: (a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')),
+  updated: (a, b) => String(a.updatedAt || a.createdAt || '').localeCompare(String(b.updatedAt || b.createdAt || '')),
+  colors: (a, b) => a.colors.length - b.colors.length
+}
+
+/**
+ * Whether a palette matches every word of a search query
+ * Words are matched against the title, tags and the names of contained colors
+ * @param {Object} palette - Saved palette
+ * @param {Array<string>} words - Lowercase search words
+ * @returns {boolean}
+ */
+const matchesSearch = (palette, words) => {
+  if (words.length === 0) return true
+  const haystack = [
+    palette.title,
+    ...(palette.tags || []),
+    ...palette.colors.map(({ colorData }) => colorData?.colorName || '')
+  ].join(' ').toLowerCase()
+  return words.every(word => haystack.includes(word))
+}
+
+/**
+ * Composable for filtering, searching and sorting the saved palette library
+ * @returns {Object} Filter state, options and the filtered palette list
+ */
+export function usePaletteLibrary() {
+  const { savedPalettes } = usePaletteStorage()
+  const { collections } = usePaletteCollections()
+
+  const allTags = computed(() => {
+    const tags = new Set(savedPalettes.value.flatMap(p => p.tags || []))
+    return [...tags].sort()
+  })
+
+  const collectionOptions = computed(() => [
+    { value: 'all', label: 'All palettes' },
+    { value: 'favorites', label: '★ Favorites' },
+    { value: 'unfiled', label: 'Unfiled' },
+    ...collections.value.map(c => ({ value: c.id, label: c.name }))
+  ])
+
+  const tagOptions = computed(() => [
+    { value: 'all', label: 'All tags' },
+    ...allTags.value.map(tag => ({ value: tag, label: `#${tag}` }))
+  ])
+
+  const filteredPalettes = computed(() => {
+    const collectionIds = new Set(collections.value.map(c => c.id))
+    const words = searchQuery.value.toLowerCase().split(/\s+/).filter(Boolean)
+
+    const matchesCollection = (palette) => {
+      switch (collectionFilter.value) {
+        case 'all':
+          return true
+        case 'favorites':
+          return Boolean(palette.favorite)
+        case 'unfiled':
+          // Palettes pointing at a deleted collection count as unfiled
+          return !palette.collectionId || !collectionIds.has(palette.collectionId)
+        default:
+          return palette.collectionId === collectionFilter.value
+      }
+    }
+
+    const compare = SORT_COMPARATORS[sortBy.value] || SORT_COMPARATORS.created
+    const direction = sortDirection.value === 'asc' ? 1 : -1
+
+    return savedPalettes.value
+      .filter(palette => matchesCollection(palette) &&
+        (tagFilter.value === 'all' || (palette.tags || []).includes(tagFilter.value)) &&
+        matchesSearch(palette, words))
+      .sort((a, b) => direction * compare(a, b) || a.id.localeCompare(b.id))
+  })
+
+  const hasActiveFilters = computed(() => {
+    return searchQuery.value.trim() !== '' || collectionFilter.value !== 'all' || tagFilter.value !== 'all'
+  })
+
+  const toggleSortDirection = () => {
+    sortDirection.value = sortDirection.value === 'asc' ? 'desc' : 'asc'
+  }
+
+  const clearFilters = () => {
+    searchQuery.value = ''
+    collectionFilter.value = 'all'
+    tagFilter.value = 'all'
+  }
+
+  return {
+    // State
+    searchQuery,
+    collectionFilter,
+    tagFilter,
+    sortBy,
+    sortDirection,
+
+    // Options
+    sortOptions: SORT_OPTIONS,
+    collectionOptions,
+    tagOptions,
+
+    // Computed
+    allTags,
+    filteredPalettes,
+    hasActiveFilters,
+
+    // Methods
+    toggleSortDirection,
+    clearFilters
+  }
+}
@@ -0,0 +1,239 @@
+import { validateHexColor, logError } from './errorHandler.js'
+import { useColorEffects } from './useColorEffects.js'
+import { validateLayout, getPaletteLayout, getCellCount, assignLayout } from './paletteLayout.js'
+
+/**
+ * Shareable palette links
+ * Palettes are packed into a compact, versioned payload and carried in the URL hash
+ * as `#palette=<version>.<base64url>`
+ * Version 1 links only carry a square grid size; they still open.
+ */
+
+const HASH_KEY = 'palette'
+const LINK_VERSION = 2
+const LEGACY_LINK_VERSION = 1
+const MAX_PAYLOAD_LENGTH = 4096
+const MAX_TITLE_LENGTH = 100
+const MAX_COLOR_NAME_LENGTH = 100
+const LEGACY_MIN_GRID_SIZE = 2
+const LEGACY_MAX_GRID_SIZE = 4
+
+/**
+ * Encode a UTF-8 string as base64url (no padding)
+ * @param {string} text - Text to encode
+ * @returns {string} base64url string
+ */
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text)
+  let binary = ''
+  bytes.forEach(byte => { binary += String.fromCharCode(byte) })
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+/**
+ * Decode a base64url string back to UTF-8 text
+ * @param {string} encoded - base64url string
+ * @returns {string} Decoded text
+ */
+const fromBase64Url = (encoded) => {
+  if (!/^[A-Za-z0-9_-]*$/.test(encoded)) {
+    throw new Error('Link contains invalid characters')
+  }
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/')
+  const padded = base64 + '='.repeat((4 - base64.length % 4) % 4)
+  const binary = atob(padded)
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0))
+  return new TextDecoder('utf-8', { fatal: true }).decode(bytes)
+}
+
+/**
+ * Composable for encoding palettes into shareable URLs and decoding them back
+ * @returns {Object} Link encoding utilities
+ */
+export function usePaletteLink() {
+  const { getAllEffects } = useColorEffects()
+  const effectList = getAllEffects()
+
+  /**
+   * Pack a palette into the compact link payload
+   * Payload shape: [version, title, rows, cols, [disabledIndex, ...], [[index, hex, effectIndex, isDark, colorName], ...]]
+   * @param {Object} paletteData - Palette with title, layout and colors [{ index, colorData }]
+   * @returns {string} Versioned, URL-safe payload
+   */
+  const encodePalette = (paletteData) => {
+    const cells = (paletteData.colors || [])
+      .filter(cell => cell && cell.colorData)
+      .map(({ index, colorData }) => [
+        index,
+        colorData.hexCode.replace('#', ''),
+        Math.max(0, effectList.indexOf(colorData.effect)),
+        colorData.isDark ? 1 : 0,
+        colorData.colorName
+      ])
+
+    const { rows, cols, disabledCells } = getPaletteLayout(paletteData)
+    const compact = [LINK_VERSION, paletteData.title || '', rows, cols, disabledCells, cells]
+    const payload = `v${LINK_VERSION}.${toBase64Url(JSON.stringify(compact))}`
+
+    if (payload.length > MAX_PAYLOAD_LENGTH) {
+      throw new Error('Palette is too large to share as a link')
+    }
+    return payload
+  }
+
+  /**
+   * Unpack and validate a link payload
+   * @param {string} payload - Payload produced by encodePalette
+   * @returns {Object} Palette data { title, rows, cols, disabledCells, colors: [{ index, colorData }] }
+   * @throws {Error} When the payload is malformed, oversized or from an unknown version
+   */
+  const decodePalette = (payload) => {
+    if (typeof payload !== 'string' || payload.length === 0) {
+      throw new Error('Link is empty')
+    }
+    if (payload.length > MAX_PAYLOAD_LENGTH) {
+      throw new Error('Link is too large')
+    }
+
+    const match = payload.match(/^v(\d+)\.(.+)$/)
+    if (!match) {
+      throw new Error('Link is not a palette link')
+    }
+    const version = parseInt(match[1])
+    if (version !== LINK_VERSION && version !== LEGACY_LINK_VERSION) {
+      throw new Error(`Unsupported palette link version: ${match[1]}`)
+    }
+
+    let compact
+    try {
+      compact = JSON.parse(fromBase64Url(match[2]))
+    } catch (error) {
+      throw new Error('Link is corrupted')
+    }
+
+    const expectedLength = version === LEGACY_LINK_VERSION ? 4 : 6
+    if (!Array.isArray(compact) || compact.length !== expectedLength || compact[0] !== version) {
+      throw new Error('Link is corrupted')
+    }
+
+    const title = compact[1]
+    const cells = compact[compact.length - 1]
+
+    if (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH) {
+      throw new Error('Link has an invalid title')
+    }
+
+    let layout
+    if (version === LEGACY_LINK_VERSION) {
+      const gridSize = compact[2]
+      if (!Number.isInteger(gridSize) || gridSize < LEGACY_MIN_GRID_SIZE || gridSize > LEGACY_MAX_GRID_SIZE) {
+        throw new Error('Link has an invalid grid size')
+      }
+      layout = getPaletteLayout({ gridSize })
+    } else {
+      const [, , rows, cols, disabledCells] = compact
+      if (!Array.isArray(disabledCells)) {
+        throw new Error('Link has an invalid grid layout')
+      }
+      try {
+        layout = validateLayout({ rows, cols, disabledCells })
+      } catch (error) {
+        throw new Error('Link has an invalid grid layout')
+      }
+    }
+
+    const totalCells = getCellCount(layout)
+    if (!Array.isArray(cells) || cells.length > totalCells) {
+      throw new Error('Link has an invalid color list')
+    }
+
+    const usedIndices = new Set()
+    const colors = cells.map(cell => {
+      if (!Array.isArray(cell) || cell.length !== 5) {
+        throw new Error('Link has an invalid color entry')
+      }
+      const [index, hex, effectIndex, isDark, colorName] = cell
+      const hexCode = `#${hex}`
+
+      if (!Number.isInteger(index) || index < 0 || index >= totalCells ||
+        usedIndices.has(index) || layout.disabledCells.includes(index)) {
+        throw new Error('Link has an invalid cell index')
+      }
+      if (!validateHexColor(hexCode)) {
+        throw new Error('Link has an invalid color value')
+      }
+      if (!Number.isInteger(effectIndex) || !effectList[effectIndex]) {
+        throw new Error('Link has an invalid color effect')
+      }
+      if (isDark !== 0 && isDark !== 1) {
+        throw new Error('Link has an invalid color entry')
+      }
+      if (typeof colorName !== 'string' || colorName.length > MAX_COLOR_NAME_LENGTH) {
+        throw new Error('Link has an invalid color name')
+      }
+
+      usedIndices.add(index)
+      return {
+        index,
+        colorData: {
+          colorName,
+          hexCode,
+          bgColor: hexCode,
+          isDark: isDark === 1,
+          effect: effectList[effectIndex]
+        }
+      }
+    })
+
+    return assignLayout({
+      title: title.trim() || 'Shared Palette',
+      colors
+    }, layout)
+  }
+
+  /**
+   * Build an absolute URL to the app that opens the given palette
+   * @param {Object} paletteData - Palette to share
+   * @returns {string} Shareable URL
+   */
+  const buildShareUrl = (paletteData) => {
+    const url = new URL(window.location.href)
+    url.hash = `${HASH_KEY}=${encodePalette(paletteData)}`
+    return url.toString()
+  }
+
+  /**
+   * Read a shared palette from the current URL hash, if present
+   * @returns {{ palette: Object|null, error: Error|null }} Decoded palette or the reason it was rejected
+   */
+  const readPaletteFromHash = () => {
+    const params = new URLSearchParams(window.location.hash.replace(/^#/, ''))
+    const payload = params.get(HASH_KEY)
+    if (payload === null) {
+      return { palette: null, error: null }
+    }
+
+    try {
+      return { palette: decodePalette(payload), error: null }
+    } catch (error) {
+      logError('usePaletteLink.readPaletteFromHash', error, { length: payload.length })
+      return { palette: null, error }
+    }
+  }
+
+  /**
+   * Remove the palette payload from the URL without adding a history entry
+   */
+  const clearPaletteHash = () => {
+    const { pathname, search } = window.location
+    window.history.replaceState(window.history.state, '', `${pathname}${search}`)
+  }
+
+  return {
+    encodePalette,
+    decodePalette,
+    buildShareUrl,
+    readPaletteFromHash,
+    clearPaletteHash
+  }
+}
@@ -9,6 +9,7 @@ import { ref, computed } from 'vue'
 export function usePaletteState(options = {}) {
   const { isGridFull } = options
   const loadedPaletteTitle = ref('')
+  const loadedPaletteId = ref(null)
   const loadedPaletteModified = ref(false)
   const hasUserInteracted = ref(false)
   const shouldCollapseAppInfo = ref(false)
@@ -51,6 +52,7 @@ export function usePaletteState(options = {}) {
 
   const loadPalette = (paletteData) => {
     loadedPaletteTitle.value = paletteData.title
+    loadedPaletteId.value = paletteData.id || null
     loadedPaletteModified.value = false
     shouldCollapseAppInfo.value = true
     triggerUserInteraction()
@@ -66,6 +68,7 @@ export function usePaletteState(options = {}) {
 
   const clearPalette = () => {
     loadedPaletteTitle.value = ''
+    loadedPaletteId.value = null
     loadedPaletteModified.value = false
     inlinePaletteTitle.value = ''
     shouldCollapseAppInfo.value = true
@@ -80,6 +83,7 @@ export function usePaletteState(options = {}) {
   return {
     // State
     loadedPaletteTitle,
+    loadedPaletteId,
     loadedPaletteModified,
     hasUserInteracted,
     shouldCollapseAppInfo,
@@ -1,11 +1,194 @@
 import { ref, computed } from 'vue'
+import { getAllPalettes, putPalettes, deletePalettes, deleteEyeLooksForPalettes } from './paletteDatabase.js'
+import { useEyeLooks } from './useEyeLooks.js'
+import {
+  TAB_ID,
+  touchPalette,
+  comparePaletteVersions,
+  isConflictingEdit,
+  createPaletteSyncChannel
+} from './paletteSync.js'
+import { getPaletteLayout, assignLayout } from './paletteLayout.js'
 
 // Singleton state - shared across all instances
 const savedPalettes = ref([])
+const trashedPalettes = ref([])
 const demoPalettes = ref([])
 
+// Deleted palettes stay in the trash this many days before being purged
+const TRASH_RETENTION_STORAGE_KEY = 'eyeshadow-trash-retention-days'
+const DEFAULT_TRASH_RETENTION_DAYS = 30
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const loadStoredTrashRetention = () => {
+  try {
+    const stored = parseInt(localStorage.getItem(TRASH_RETENTION_STORAGE_KEY), 10)
+    return Number.isInteger(stored) && stored > 0 ? stored : DEFAULT_TRASH_RETENTION_DAYS
+  } catch (error) {
+    return DEFAULT_TRASH_RETENTION_DAYS
+  }
+}
+
+const trashRetentionDays = ref(loadStoredTrashRetention())
+
 /**
- * Composable for managing palette storage operations with localStorage
+ * Put a palette in the live or trashed list according to its deletedAt,
+ * replacing any copy of it in either list
+ * @param {Object} palette - Palette to place
+ */
+const placePalette = (palette) => {
+  const target = palette.deletedAt ? trashedPalettes : savedPalettes
+  const other = palette.deletedAt ? savedPalettes : trashedPalettes
+  other.value = other.value.filter(p => p.id !== palette.id)
+
+  const index = target.value.findIndex(p => p.id === palette.id)
+  if (index !== -1) {
+    target.value.splice(index, 1, palette)
+  } else {
+    target.value.push(palette)
+  }
+}
+
+const findAnyPalette = (paletteId) => {
+  return savedPalettes.value.find(p => p.id === paletteId) ||
+    trashedPalettes.value.find(p => p.id === paletteId) ||
+    null
+}
+
+// Number of previous versions kept per palette
+const MAX_HISTORY_ENTRIES = 20
+
+// Tags are stored lowercase, trimmed and de-duplicated
+const MAX_TAG_LENGTH = 30
+
+/**
+ * Normalize free-form tags for storage
+ * @param {Array<string>|string} tags - Tags, or a comma-separated string
+ * @returns {Array<string>} Clean, unique tags
+ */
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',')
+  const cleaned = list
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean)
+  return [...new Set(cleaned)]
+}
+
+/**
+ * Capture a palette's current content as a history entry
+ * @param {Object} palette - Palette to snapshot
+ * @returns {Object} History entry { revisionId, savedAt, title, rows, cols, disabledCells, colors }
+ */
+const createSnapshot = (palette) => ({
+  revisionId: `${palette.id}-r${palette.revision || 0}`,
+  savedAt: palette.updatedAt || palette.createdAt,
+  title: palette.title,
+  ...getPaletteLayout(palette),
+  colors: JSON.parse(JSON.stringify(palette.colors))
+})
+
+/**
+ * Put a palette back the way it was before a failed edit, including removing
+ * fields the edit added (e.g. rows/cols replacing a legacy gridSize)
+ * @param {Object} palette - Palette to roll back (mutated in place)
+ * @param {Object} previous - Shallow copy taken before the edit
+ */
+const rollbackPalette = (palette, previous) => {
+  Object.keys(palette).forEach(key => {
+    if (!(key in previous)) delete palette[key]
+  })
+  Object.assign(palette, previous)
+}
+
+/**
+ * Add a snapshot to the front of a palette's history, dropping the oldest beyond the limit
+ * @param {Object} palette - Palette whose history to extend
+ * @param {Object} snapshot - Entry from createSnapshot
+ * @returns {Array} New history array, newest first
+ */
+const pushHistory = (palette, snapshot) => {
+  return [snapshot, ...(palette.history || [])].slice(0, MAX_HISTORY_ENTRIES)
+}
+
+// Cross-tab sync channel, opened on first load
+let syncChannel = null
+
+/**
+ * Tell other tabs about palettes this tab just persisted
+ * @param {Array} palettes - Palettes that were written
+ */
+const broadcastUpsert = (palettes) => {
+  syncChannel?.post({ type: 'upsert', palettes: JSON.parse(JSON.stringify(palettes)) })
+}
+
+/**
+ * Tell other tabs about palettes this tab just deleted
+ * @param {Array<string>} ids - Deleted palette IDs
+ */
+const broadcastDelete = (ids) => {
+  syncChannel?.post({ type: 'delete', ids })
+}
+
+/**
+ * Merge a change announced by another tab into the shared state
+ * Stale versions are ignored; concurrent edits to the same palette are resolved with
+ * comparePaletteVersions, so every tab settles on the same winner. Deletes always win.
+ * @param {Object} message - Sync message
+ */
+const handleSyncMessage = async (message) => {
+  if (!message || message.sender === TAB_ID) return
+
+  if (message.type === 'delete' && Array.isArray(message.ids)) {
+    savedPalettes.value = savedPalettes.value.filter(p => !message.ids.includes(p.id))
+    trashedPalettes.value = trashedPalettes.value.filter(p => !message.ids.includes(p.id))
+    return
+  }
+
+  if (message.type !== 'upsert' || !Array.isArray(message.palettes)) return
+
+  const reassert = []
+  message.palettes.forEach(incoming => {
+    const local = findAnyPalette(incoming.id)
+    if (!local) {
+      placePalette(incoming)
+      return
+    }
+
+    const incomingWins = comparePaletteVersions(incoming, local) > 0
+
+    if (isConflictingEdit(incoming, local)) {
+      console.warn(`Conflicting edits to palette "${local.title}" (${local.id}) - keeping the ${incomingWins ? 'other tab\'s' : 'local'} version`)
+      if (!incomingWins) reassert.push(local)
+    }
+
+    if (incomingWins) {
+      placePalette(incoming)
+    }
+  })
+
+  // The losing tab may have committed last, so write the winning version again
+  if (reassert.length > 0) {
+    try {
+      await putPalettes(reassert)
+      broadcastUpsert(reassert)
+    } catch (error) {
+      console.error('Failed to persist resolved palette conflict:', error)
+    }
+  }
+}
+
+const startSync = () => {
+  if (syncChannel || typeof window === 'undefined') return
+  syncChannel = createPaletteSyncChannel(handleSyncMessage)
+}
+
+/**
+ * Composable for managing palette storage operations
+ * Palettes persist to IndexedDB (see paletteDatabase.js); writes update the shared
+ * state immediately, roll back if persisting fails and are broadcast to other tabs
+ * (see paletteSync.js). Deleting a palette moves it to the trash (it gets a `deletedAt`)
+ * until it is restored, purged by hand or expires after the retention period.
  * @returns {Object} Storage state and methods
  */
 export function usePaletteStorage() {
@@ -14,55 +197,37 @@ export function usePaletteStorage() {
     return savedPalettes.value.length > 0
   })
 
-  const loadSavedPalettes = () => {
-    const palettes = localStorage.getItem('eyeshadow-saved-palettes')
-    if (palettes) {
-      try {
-        let loadedPalettes = JSON.parse(palettes)
-        
-        // Migrate palettes that don't have IDs (from older versions)
-        let needsUpdate = false
-        loadedPalettes = loadedPalettes.map(palette => {
-          if (!palette.id) {
-            needsUpdate = true
-            return {
-              ...palette,
-              id: `migrated-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
-            }
-          }
-          return palette
-        })
-        
-        // Save back to localStorage if we added IDs
-        if (needsUpdate) {
-          localStorage.setItem('eyeshadow-saved-palettes', JSON.stringify(loadedPalettes))
-        }
-        
-        savedPalettes.value = loadedPalettes
-      } catch (error) {
-        console.error('Failed to parse saved palettes:', error)
-        savedPalettes.value = []
-      }
-    } else {
+  const loadSavedPalettes = async () => {
+    startSync()
+    try {
+      const palettes = await getAllPalettes()
+      savedPalettes.value = palettes.filter(p => !p.deletedAt)
+      trashedPalettes.value = palettes.filter(p => p.deletedAt)
+    } catch (error) {
+      console.error('Failed to load saved palettes:', error)
       savedPalettes.value = []
+      trashedPalettes.value = []
+      return
     }
+    await purgeExpiredTrash()
   }
 
-  const savePalette = (paletteData, title, gridSize = 2) => {
-    const newPalette = {
+  const savePalette = async (paletteData, title, layout) => {
+    const newPalette = assignLayout({
       id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
       title: title.trim(),
-      gridSize: gridSize,
       colors: paletteData.filter(color => color !== null),
       createdAt: new Date().toISOString()
-    }
+    }, layout)
+    touchPalette(newPalette)
 
     try {
       savedPalettes.value.push(newPalette)
-      localStorage.setItem('eyeshadow-saved-palettes', JSON.stringify(savedPalettes.value))
+      await putPalettes([newPalette])
+      broadcastUpsert([newPalette])
     } catch (error) {
       console.error('Failed to save palette:', error)
-      // Rollback the addition if localStorage fails
+      // Rollback the addition if persisting fails
       const index = savedPalettes.value.findIndex(p => p.id === newPalette.id)
       if (index !== -1) {
         savedPalettes.value.splice(index, 1)
@@ -73,38 +238,370 @@ export function usePaletteStorage() {
     return newPalette
   }
 
-  const deletePalette = (paletteId) => {
-    const index = savedPalettes.value.findIndex(p => p.id === paletteId)
-    if (index !== -1) {
-      const removedPalette = savedPalettes.value[index]
-      try {
-        savedPalettes.value.splice(index, 1)
-        localStorage.setItem('eyeshadow-saved-palettes', JSON.stringify(savedPalettes.value))
-      } catch (error) {
-        console.error('Failed to delete palette:', error)
-        // Rollback the deletion if localStorage fails
-        savedPalettes.value.splice(index, 0, removedPalette)
-        throw error
+  /**
+   * Save new content over an existing palette, keeping the previous version in its history
+   * @param {string} paletteId - Palette to update
+   * @param {Array} paletteData - Occupied cells [{ index, colorData }]
+   * @param {Object} layout - Grid layout { rows, cols, disabledCells }
+   * @param {string} [title] - New title (keeps the current one when omitted)
+   * @returns {Promise<Object>} The updated palette
+   */
+  const updatePalette = async (paletteId, paletteData, layout, title) => {
+    const palette = savedPalettes.value.find(p => p.id === paletteId)
+    if (!palette) {
+      throw new Error(`Palette not found: ${paletteId}`)
+    }
+
+    const previous = { ...palette }
+    try {
+      palette.history = pushHistory(palette, createSnapshot(palette))
+      palette.colors = paletteData.filter(color => color !== null)
+      assignLayout(palette, layout)
+      if (title && title.trim()) {
+        palette.title = title.trim()
       }
+      touchPalette(palette)
+      await putPalettes([palette])
+      broadcastUpsert([palette])
+    } catch (error) {
+      console.error('Failed to update palette:', error)
+      // Rollback the update if persisting fails
+      rollbackPalette(palette, previous)
+      throw error
     }
+
+    return palette
   }
 
-  const updatePaletteTitle = (paletteId, newTitle) => {
+  /**
+   * Restore an older version of a palette; the current version moves into history
+   * so the restore itself can be undone
+   * @param {string} paletteId - Palette to restore
+   * @param {string} revisionId - History entry to restore
+   * @returns {Promise<Object>} The restored palette
+   */
+  const restorePaletteRevision = async (paletteId, revisionId) => {
+    const palette = savedPalettes.value.find(p => p.id === paletteId)
+    const snapshot = palette?.history?.find(entry => entry.revisionId === revisionId)
+    if (!snapshot) {
+      throw new Error(`Revision not found: ${revisionId}`)
+    }
+
+    const previous = { ...palette }
+    try {
+      palette.history = pushHistory(palette, createSnapshot(palette))
+        .filter(entry => entry.revisionId !== revisionId)
+      palette.title = snapshot.title
+      // Entries saved before layouts existed only have a gridSize
+      assignLayout(palette, getPaletteLayout(snapshot))
+      palette.colors = JSON.parse(JSON.stringify(snapshot.colors))
+      touchPalette(palette)
+      await putPalettes([palette])
+      broadcastUpsert([palette])
+    } catch (error) {
+      console.error('Failed to restore palette revision:', error)
+      rollbackPalette(palette, previous)
+      throw error
+    }
+
+    return palette
+  }
+
+  /**
+   * Move a palette to the trash
+   * @param {string} paletteId - Palette to delete
+   * @returns {Promise<Object|null>} The trashed palette, or null if it wasn't found
+   */
+  const deletePalette = async (paletteId) => {
+    const palette = savedPalettes.value.find(p => p.id === paletteId)
+    if (!palette) return null
+
+    const previous = { ...palette }
+    try {
+      palette.deletedAt = new Date().toISOString()
+      touchPalette(palette)
+      placePalette(palette)
+      await putPalettes([palette])
+      broadcastUpsert([palette])
+    } catch (error) {
+      console.error('Failed to delete palette:', error)
+      // Rollback the deletion if persisting fails
+      rollbackPalette(palette, previous)
+      delete palette.deletedAt
+      placePalette(palette)
+      throw error
+    }
+
+    return palette
+  }
+
+  /**
+   * Move a palette out of the trash and back into the library
+   * @param {string} paletteId - Trashed palette to restore
+   * @returns {Promise<Object>} The restored palette
+   */
+  const restoreFromTrash = async (paletteId) => {
+    const palette = trashedPalettes.value.find(p => p.id === paletteId)
+    if (!palette) {
+      throw new Error(`Palette not in trash: ${paletteId}`)
+    }
+
+    const previous = { ...palette }
+    try {
+      delete palette.deletedAt
+      touchPalette(palette)
+      placePalette(palette)
+      await putPalettes([palette])
+      broadcastUpsert([palette])
+    } catch (error) {
+      console.error('Failed to restore palette from trash:', error)
+      rollbackPalette(palette, previous)
+      placePalette(palette)
+      throw error
+    }
+
+    return palette
+  }
+
+  /**
+   * Permanently delete trashed palettes
+   * @param {Array<string>} paletteIds - Trashed palettes to purge
+   * @returns {Promise<void>}
+   */
+  const purgePalettes = async (paletteIds) => {
+    const purged = trashedPalettes.value.filter(p => paletteIds.includes(p.id))
+    if (purged.length === 0) return
+
+    const previous = [...trashedPalettes.value]
+    try {
+      trashedPalettes.value = trashedPalettes.value.filter(p => !paletteIds.includes(p.id))
+      await deletePalettes(purged.map(p => p.id))
+      broadcastDelete(purged.map(p => p.id))
+    } catch (error) {
+      console.error('Failed to purge palettes:', error)
+      // Rollback the purge if persisting fails
+      trashedPalettes.value = previous
+      throw error
+    }
+
+    // Eye looks go with their palette; leftovers are harmless, so a failure here is only logged
+    try {
+      await deleteEyeLooksForPalettes(purged.map(p => p.id))
+      useEyeLooks().forgetLooksForPalettes(purged.map(p => p.id))
+    } catch (error) {
+      console.error('Failed to delete eye looks of purged palettes:', error)
+    }
+  }
+
+  const emptyTrash = () => {
+    return purgePalettes(trashedPalettes.value.map(p => p.id))
+  }
+
+  /**
+   * Days left before a trashed palette is purged
+   * @param {Object} palette - Trashed palette
+   * @returns {number} Whole days remaining (0 when due)
+   */
+  const getDaysUntilPurge = (palette) => {
+    const expiresAt = new Date(palette.deletedAt).getTime() + trashRetentionDays.value * DAY_MS
+    return Math.max(0, Math.ceil((expiresAt - Date.now()) / DAY_MS))
+  }
+
+  /**
+   * Purge trashed palettes older than the retention period
+   * @returns {Promise<void>}
+   */
+  const purgeExpiredTrash = async () => {
+    const cutoff = Date.now() - trashRetentionDays.value * DAY_MS
+    const expiredIds = trashedPalettes.value
+      .filter(p => new Date(p.deletedAt).getTime() <= cutoff)
+      .map(p => p.id)
+    if (expiredIds.length === 0) return
+
+    try {
+      await purgePalettes(expiredIds)
+    } catch (error) {
+      // Expired palettes stay in the trash and are retried on the next load
+    }
+  }
+
+  /**
+   * Change how long deleted palettes are kept, purging anything now past it
+   * @param {number} days - Retention period in days
+   * @returns {Promise<void>}
+   */
+  const setTrashRetentionDays = async (days) => {
+    const value = parseInt(days, 10)
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new Error(`Invalid retention period: ${days}`)
+    }
+    trashRetentionDays.value = value
+    try {
+      localStorage.setItem(TRASH_RETENTION_STORAGE_KEY, String(value))
+    } catch (error) {
+      console.warn('Failed to save trash retention period:', error)
+    }
+    await purgeExpiredTrash()
+  }
+
+  const updatePaletteTitle = async (paletteId, newTitle) => {
     const palette = savedPalettes.value.find(p => p.id === paletteId)
     if (palette) {
-      const oldTitle = palette.title
+      const previous = { ...palette }
       try {
         palette.title = newTitle.trim()
-        localStorage.setItem('eyeshadow-saved-palettes', JSON.stringify(savedPalettes.value))
+        touchPalette(palette)
+        await putPalettes([palette])
+        broadcastUpsert([palette])
       } catch (error) {
         console.error('Failed to update palette title:', error)
-        // Rollback the title change if localStorage fails
-        palette.title = oldTitle
+        // Rollback the title change if persisting fails
+        rollbackPalette(palette, previous)
         throw error
       }
     }
   }
 
+  /**
+   * Update a palette's library metadata (tags, favorite flag, collection)
+   * Metadata changes don't create a history entry since the palette content is unchanged
+   * @param {string} paletteId - Palette to update
+   * @param {Object} details - Any of { tags, favorite, collectionId }
+   * @returns {Promise<Object>} The updated palette
+   */
+  const updatePaletteDetails = async (paletteId, details) => {
+    const palette = savedPalettes.value.find(p => p.id === paletteId)
+    if (!palette) {
+      throw new Error(`Palette not found: ${paletteId}`)
+    }
+
+    const previous = { ...palette }
+    try {
+      if (details.tags !== undefined) {
+        palette.tags = normalizeTags(details.tags)
+      }
+      if (details.favorite !== undefined) {
+        palette.favorite = Boolean(details.favorite)
+      }
+      if (details.collectionId !== undefined) {
+        palette.collectionId = details.collectionId || null
+      }
+      touchPalette(palette)
+      await putPalettes([palette])
+      broadcastUpsert([palette])
+    } catch (error) {
+      console.error('Failed to update palette details:', error)
+      rollbackPalette(palette, previous)
+      throw error
+    }
+
+    return palette
+  }
+
+  const toggleFavorite = (paletteId) => {
+    const palette = savedPalettes.value.find(p => p.id === paletteId)
+    return updatePaletteDetails(paletteId, { favorite: !palette?.favorite })
+  }
+
+  /**
+   * Move every palette in a collection back to unfiled, e.g. before deleting the collection
+   * @param {string} collectionId - Collection being emptied
+   * @returns {Promise<void>}
+   */
+  const clearCollection = async (collectionId) => {
+    const members = savedPalettes.value.filter(p => p.collectionId === collectionId)
+    if (members.length === 0) return
+
+    const previous = members.map(palette => ({ ...palette }))
+    try {
+      members.forEach(palette => {
+        palette.collectionId = null
+        touchPalette(palette)
+      })
+      await putPalettes(members)
+      broadcastUpsert(members)
+    } catch (error) {
+      console.error('Failed to clear collection:', error)
+      members.forEach((palette, index) => rollbackPalette(palette, previous[index]))
+      throw error
+    }
+  }
+
+  /**
+   * Import already-validated palettes into the saved library
+   * Duplicates are matched by id or title and handled according to the strategy:
+   * - 'merge': keep both, giving the incoming palette a fresh id and/or unique title
+   * - 'replace': overwrite the existing palette (keeping its id)
+   * - 'skip': leave the existing palette untouched
+   * @param {Array} palettes - Palettes to import
+   * @param {'merge'|'replace'|'skip'} strategy - Duplicate handling strategy
+   * @returns {Promise<Object>} Report with added, renamed, replaced and skipped palette titles
+   */
+  const importPalettes = async (palettes, strategy = 'merge') => {
+    const report = { added: [], renamed: [], replaced: [], skipped: [] }
+    const nextPalettes = [...savedPalettes.value]
+    const changedPalettes = []
+    // Trashed palettes keep their IDs reserved so an import can't overwrite them
+    const trashedIds = new Set(trashedPalettes.value.map(p => p.id))
+
+    const makeUniqueTitle = (title) => {
+      const titles = new Set(nextPalettes.map(p => p.title))
+      let counter = 2
+      while (titles.has(`${title} (${counter})`)) counter++
+      return `${title} (${counter})`
+    }
+
+    palettes.forEach(palette => {
+      const duplicateIndex = nextPalettes.findIndex(p => p.id === palette.id || p.title === palette.title)
+
+      if (duplicateIndex === -1) {
+        const added = touchPalette({
+          ...palette,
+          id: trashedIds.has(palette.id) ? `${Date.now()}-${Math.random().toString(36).substr(2, 9)}` : palette.id
+        })
+        nextPalettes.push(added)
+        changedPalettes.push(added)
+        report.added.push(palette.title)
+        return
+      }
+
+      if (strategy === 'skip') {
+        report.skipped.push(palette.title)
+      } else if (strategy === 'replace') {
+        const existing = nextPalettes[duplicateIndex]
+        nextPalettes[duplicateIndex] = touchPalette({ ...palette, id: existing.id }, existing.revision || 0)
+        changedPalettes.push(nextPalettes[duplicateIndex])
+        report.replaced.push(palette.title)
+      } else {
+        const idTaken = nextPalettes.some(p => p.id === palette.id) || trashedIds.has(palette.id)
+        const titleTaken = nextPalettes.some(p => p.title === palette.title)
+        const renamed = touchPalette({
+          ...palette,
+          id: idTaken ? `${Date.now()}-${Math.random().toString(36).substr(2, 9)}` : palette.id,
+          title: titleTaken ? makeUniqueTitle(palette.title) : palette.title
+        })
+        nextPalettes.push(renamed)
+        changedPalettes.push(renamed)
+        if (titleTaken) {
+          report.renamed.push({ from: palette.title, to: renamed.title })
+        } else {
+          report.added.push(renamed.title)
+        }
+      }
+    })
+
+    try {
+      await putPalettes(changedPalettes)
+      savedPalettes.value = nextPalettes
+      broadcastUpsert(changedPalettes)
+    } catch (error) {
+      console.error('Failed to import palettes:', error)
+      throw error
+    }
+
+    return report
+  }
+
   const findPaletteById = (paletteId) => {
     // Check saved palettes first
     const savedPalette = savedPalettes.value.find(p => p.id === paletteId)
@@ -125,6 +622,8 @@ export function usePaletteStorage() {
   return {
     // State
     savedPalettes,
+    trashedPalettes,
+    trashRetentionDays,
     
     // Computed
     hasSavedPalettes,
@@ -132,8 +631,19 @@ export function usePaletteStorage() {
     // Methods
     loadSavedPalettes,
     savePalette,
+    updatePalette,
+    restorePaletteRevision,
     deletePalette,
+    restoreFromTrash,
+    purgePalettes,
+    emptyTrash,
+    getDaysUntilPurge,
+    setTrashRetentionDays,
     updatePaletteTitle,
+    updatePaletteDetails,
+    toggleFavorite,
+    clearCollection,
+    importPalettes,
     findPaletteById,
     registerDemoPalettes
   }
@@ -0,0 +1,131 @@
+/**
+ * Composable for drawing input through Pointer Events
+ * Handles mouse, touch and pen with one pipeline: a single pointer draws at a time, moves are
+ * read from coalesced events so fast pen strokes keep every sample, and pen pressure is passed
+ * on with each point. Touch contacts are ignored while a pen is in use (palm rejection), and a
+ * touch stroke already in progress when the pen lands is cancelled.
+ * @param {Object} options - Drawing callbacks
+ * @param {Function} options.getCanvas - Returns the canvas receiving the events
+ * @param {Function} options.canStart - Returns whether a new stroke may start
+ * @param {Function} options.onStart - Called with the first point of a stroke
+ * @param {Function} options.onMove - Called with every following point
+ * @param {Function} options.onEnd - Called when the stroke ends
+ * @param {Function} options.onCancel - Called when the stroke should be discarded
+ * @returns {Object} Pointer event handlers for the canvas, plus cancelStroke() and isPenInUse()
+ */
+export function usePointerDrawing({ getCanvas, canStart = () => true, onStart, onMove, onEnd, onCancel }) {
+  // How long after the last pen event touches are still treated as a resting palm
+  const PEN_GRACE_PERIOD = 1000
+
+  let activePointerId = null
+  let activePointerType = null
+  let lastPenEventTime = -Infinity
+
+  const isPenInUse = () => Date.now() - lastPenEventTime < PEN_GRACE_PERIOD
+
+  /**
+   * Convert a pointer event to canvas coordinates
+   * @returns {{ x: number, y: number, pressure: number, time: number, pointerType: string }} Canvas point
+   */
+  const toCanvasPoint = (event, rect, canvas) => {
+    // Adjust for canvas scaling
+    const scaleX = canvas.width / rect.width
+    const scaleY = canvas.height / rect.height
+
+    // Only pens report meaningful pressure; mice report 0.5 and many touch screens 0 or 1
+    const pressure = event.pointerType === 'pen'
+      ? (event.pressure > 0 ? event.pressure : 0.5)
+      : 1
+
+    return {
+      x: (event.clientX - rect.left) * scaleX,
+      y: (event.clientY - rect.top) * scaleY,
+      pressure,
+      time: event.timeStamp,
+      pointerType: event.pointerType
+    }
+  }
+
+  const releasePointer = () => {
+    const canvas = getCanvas()
+    if (canvas && activePointerId !== null && canvas.hasPointerCapture?.(activePointerId)) {
+      canvas.releasePointerCapture(activePointerId)
+    }
+    activePointerId = null
+    activePointerType = null
+  }
+
+  const handlePointerDown = (event) => {
+    const canvas = getCanvas()
+    if (!canvas) return
+
+    if (event.pointerType === 'pen') {
+      lastPenEventTime = Date.now()
+      // The palm usually lands first; drop its stroke in favor of the pen
+      if (activePointerType === 'touch') {
+        onCancel()
+        releasePointer()
+      }
+    } else if (event.pointerType === 'touch' && isPenInUse()) {
+      event.preventDefault()
+      return
+    }
+
+    // One stroke at a time; extra fingers are ignored
+    if (activePointerId !== null) return
+    if (event.pointerType === 'mouse' && event.button !== 0) return
+    if (!canStart()) return
+
+    event.preventDefault()
+    canvas.setPointerCapture?.(event.pointerId)
+    activePointerId = event.pointerId
+    activePointerType = event.pointerType
+    onStart(toCanvasPoint(event, canvas.getBoundingClientRect(), canvas))
+  }
+
+  const handlePointerMove = (event) => {
+    if (event.pointerType === 'pen') {
+      // Hovering counts as pen use, so a resting palm is rejected before the pen touches down
+      lastPenEventTime = Date.now()
+    }
+    if (event.pointerId !== activePointerId) return
+
+    const canvas = getCanvas()
+    if (!canvas) return
+
+    event.preventDefault()
+    const rect = canvas.getBoundingClientRect()
+    const coalesced = event.getCoalescedEvents?.() || []
+    const samples = coalesced.length > 0 ? coalesced : [event]
+    samples.forEach(sample => onMove(toCanvasPoint(sample, rect, canvas)))
+  }
+
+  /**
+   * Discard the stroke in progress, e.g. when a second finger turns it into a pinch
+   */
+  const cancelStroke = () => {
+    if (activePointerId === null) return
+    releasePointer()
+    onCancel()
+  }
+
+  const handlePointerUp = (event) => {
+    if (event.pointerType === 'pen') {
+      lastPenEventTime = Date.now()
+    }
+    if (event.pointerId !== activePointerId) return
+
+    releasePointer()
+    onEnd()
+  }
+
+  return {
+    handlePointerDown,
+    handlePointerMove,
+    handlePointerUp,
+    // The browser took the pointer away (e.g. a system gesture); keep what was drawn
+    handlePointerCancel: handlePointerUp,
+    cancelStroke,
+    isPenInUse
+  }
+}
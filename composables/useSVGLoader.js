@@ -1,5 +1,53 @@
 import { ref } from 'vue'
 
+// Fallback aspect ratio (width:height) for SVGs without a usable viewBox
+const DEFAULT_ASPECT_RATIO = 384 / 300
+
+/**
+ * Aspect ratio of an SVG document, from its viewBox
+ * @param {string} svgText - SVG content
+ * @returns {number} Width / height, or the fallback ratio when there is no viewBox
+ */
+const getSVGAspectRatio = (svgText) => {
+  const match = svgText.match(/viewBox\s*=\s*["']\s*[-\d.]+[\s,]+[-\d.]+[\s,]+([\d.]+)[\s,]+([\d.]+)/)
+  if (!match) return DEFAULT_ASPECT_RATIO
+
+  const ratio = parseFloat(match[1]) / parseFloat(match[2])
+  return Number.isFinite(ratio) && ratio > 0 ? ratio : DEFAULT_ASPECT_RATIO
+}
+
+/**
+ * Where artwork of a given aspect ratio lands on a canvas
+ * The artwork uses 85% of the canvas height (leaving space below for lower eyeshadow),
+ * is centered horizontally and sits at the top.
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} aspectRatio - Artwork width / height
+ * @returns {{ offsetX: number, offsetY: number, width: number, height: number }} Artwork box in canvas pixels
+ */
+export const fitArtworkToCanvas = (width, height, aspectRatio = DEFAULT_ASPECT_RATIO) => {
+  // Scale SVG to fit canvas while maintaining aspect ratio
+  const maxSvgHeight = height * 0.85
+  const maxSvgWidth = width * 0.95 // Use most of canvas width
+  
+  // Calculate dimensions maintaining aspect ratio
+  let svgHeight = maxSvgHeight
+  let svgWidth = svgHeight * aspectRatio
+  
+  // If width exceeds canvas, scale down by width instead
+  if (svgWidth > maxSvgWidth) {
+    svgWidth = maxSvgWidth
+    svgHeight = svgWidth / aspectRatio
+  }
+  
+  return {
+    offsetX: (width - svgWidth) / 2,
+    offsetY: 0, // Position at top
+    width: svgWidth,
+    height: svgHeight
+  }
+}
+
 /**
  * Composable for loading and manipulating SVG artwork for canvas rendering
  */
@@ -12,14 +60,17 @@ export function useSVGLoader() {
    * @param {string} svgPath - Path to the SVG file
    * @param {HTMLCanvasElement} canvas - Target canvas element
    * @param {Object} styleOverrides - CSS styles to override (e.g., { '.cls-2': { fill: '#ff0000' } })
-   * @param {Object} options - Rendering options
+   * @param {Object} options - Rendering options (width, height, aspectRatio; the aspect ratio defaults to the SVG's viewBox;
+   *   isolate: a CSS selector to draw only the matching elements, e.g. one part of an artwork)
    * @returns {Promise<ImageData>} - Canvas ImageData for layer storage
    */
   const loadSVGToCanvas = async (svgPath, canvas, styleOverrides = {}, options = {}) => {
     const {
       width = canvas.width,
       height = canvas.height,
-      preserveAspectRatio = 'xMidYMid meet'
+      preserveAspectRatio = 'xMidYMid meet',
+      aspectRatio = null, // Read from the SVG's viewBox when not given
+      isolate = null
     } = options
 
     try {
@@ -53,7 +104,10 @@ export function useSVGLoader() {
       console.log('SVG content loaded, length:', svgText.length)
 
       // Apply style overrides by modifying SVG content
-      const modifiedSVG = applySVGStyleOverrides(svgText, styleOverrides)
+      let modifiedSVG = applySVGStyleOverrides(svgText, styleOverrides)
+      if (isolate) {
+        modifiedSVG = isolateSVGElements(modifiedSVG, isolate)
+      }
 
       // Create image from modified SVG
       const img = new Image()
@@ -70,26 +124,7 @@ export function useSVGLoader() {
             ctx.clearRect(0, 0, width, height)
             
             // Dynamic SVG scaling based on canvas size
-            // SVG original aspect ratio: ~1.28:1 (width:height)
-            const svgAspectRatio = 384 / 300 // Original proportions
-            
-            // Scale SVG to fit canvas while maintaining aspect ratio
-            // Use 85% of canvas height to leave space below for lower eyeshadow
-            const maxSvgHeight = height * 0.85
-            const maxSvgWidth = width * 0.95 // Use most of canvas width
-            
-            // Calculate dimensions maintaining aspect ratio
-            let svgHeight = maxSvgHeight
-            let svgWidth = svgHeight * svgAspectRatio
-            
-            // If width exceeds canvas, scale down by width instead
-            if (svgWidth > maxSvgWidth) {
-              svgWidth = maxSvgWidth
-              svgHeight = svgWidth / svgAspectRatio
-            }
-            
-            const offsetX = (width - svgWidth) / 2
-            const offsetY = 0 // Position at top
+            const { offsetX, offsetY, width: svgWidth, height: svgHeight } = fitArtworkToCanvas(width, height, aspectRatio || getSVGAspectRatio(svgText))
             
             // Draw SVG to canvas with scaling and centering
             ctx.drawImage(img, offsetX, offsetY, svgWidth, svgHeight)
@@ -200,6 +235,37 @@ export function useSVGLoader() {
     return modifiedSVG
   }
 
+  /**
+   * Remove everything from SVG content except the elements matching a selector
+   * Definitions (styles, clip paths, filters) are kept, so the elements look as they do in the full artwork.
+   * @param {string} svgText - SVG content
+   * @param {string} selector - CSS selector of the elements to keep
+   * @returns {string} - SVG content with only the matching elements
+   */
+  const isolateSVGElements = (svgText, selector) => {
+    const parser = new DOMParser()
+    const svgDoc = parser.parseFromString(svgText, 'image/svg+xml')
+    const svgElement = svgDoc.querySelector('svg')
+    const matches = [...svgDoc.querySelectorAll(selector)]
+    if (!svgElement || matches.length === 0) {
+      throw new Error(`SVG has no element matching ${selector}`)
+    }
+
+    const prune = (parent) => {
+      [...parent.children].forEach(child => {
+        if (child.tagName === 'defs' || child.tagName === 'style' || matches.includes(child)) return
+        if (matches.some(match => child.contains(match))) {
+          prune(child)
+        } else {
+          child.remove()
+        }
+      })
+    }
+    prune(svgElement)
+
+    return new XMLSerializer().serializeToString(svgDoc)
+  }
+
   /**
    * Create layered rendering of SVG for drawing behind certain elements
    * @param {string} svgPath - Path to the SVG file
@@ -5,10 +5,35 @@ import { ref, computed } from 'vue'
  * Handles mobile AudioContext issues and provides consistent performance
  */
 
+const SOUND_STORAGE_KEY = 'eyeshadow-sound-enabled'
+
+/**
+ * Load sound preference from localStorage (enabled by default)
+ */
+function loadStoredSoundEnabled() {
+  try {
+    return localStorage.getItem(SOUND_STORAGE_KEY) !== 'false'
+  } catch (error) {
+    console.warn('Failed to load stored sound preference:', error)
+    return true
+  }
+}
+
+/**
+ * Save sound preference to localStorage
+ */
+function saveSoundEnabled(enabled) {
+  try {
+    localStorage.setItem(SOUND_STORAGE_KEY, String(enabled))
+  } catch (error) {
+    console.warn('Failed to save sound preference:', error)
+  }
+}
+
 // Global state for sound system
 const audioContext = ref(null)
 const soundBuffers = ref(new Map())
-const isEnabled = ref(true)
+const isEnabled = ref(loadStoredSoundEnabled())
 const isInitialized = ref(false)
 const isMobile = ref(false)
 const contextState = ref('suspended')
@@ -375,7 +400,12 @@ export function useSound() {
   const playSoftBell = () => playSound('bell')
   
   const toggleSound = () => {
-    isEnabled.value = !isEnabled.value
+    setSoundEnabled(!isEnabled.value)
+  }
+  
+  const setSoundEnabled = (enabled) => {
+    isEnabled.value = Boolean(enabled)
+    saveSoundEnabled(isEnabled.value)
   }
   
   // Status
@@ -394,6 +424,7 @@ export function useSound() {
     
     // Control
     toggleSound,
+    setSoundEnabled,
     initializeSoundSystem,
     
     // State